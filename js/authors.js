@@ -0,0 +1,208 @@
+/**
+ * authors.js - Recognize lab members in publication author lists
+ *
+ * Author lists name people the Google Scholar way ("P Li", "R Shahroz Khan",
+ * "Y (Katie) Zhao"), so this module keeps a registry that ties those strings
+ * to the roster on group.html (js/roster.js). Every roster member answers to
+ * their first initial and surname and to all their initials and surname:
+ * "Yu-Chao Huang" is "Y Huang" and "YC Huang". Names like "R Zhang" are
+ * shared by many researchers, so these default spellings only count on papers
+ * dated within the member's time in the lab (the years on their card; cards
+ * without dates, like the PI's, have no limit, and undated papers match no
+ * one with dates). data/authors.json, keyed by member id, adds what those
+ * rules cannot know:
+ *   {
+ *     "rana-khan": {"aliases": ["R Khan", "R Shahroz", "R Shahroz Khan"]},
+ *     "yu-chao-huang": {"not": ["tfmq-dm"]},
+ *     "tianlong-chen": {"positions": {"unveiling-privacy-risks-in-multi-modal": 4}},
+ *     "jane-doe": {"name": "Jane Doe", "url": "https://...", "aliases": ["J Doe"], "since": 2022, "until": 2024}
+ *   }
+ * "aliases" are extra spellings that count on every paper, "not" lists papers
+ * where the name belongs to someone else and "positions" gives the member's
+ * 1-based place in an author list where their name appears twice, not at all
+ * or on a paper from before they joined. An entry with a "name" and no card
+ * on group.html is a former member who left the roster; "since" and "until"
+ * give their years in the lab.
+ *
+ * Names are compared without equal-contribution stars, nicknames in
+ * parentheses or case. A name that fits two people, or that appears twice in
+ * one author list, is left unmatched unless "positions" settles it.
+ *
+ * Nothing but load() touches the page, so the matching also runs in Node
+ * (require('./js/authors')) for the tests.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LabAuthors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const AUTHORS_URL = 'data/authors.json';
+
+    let registryPromise = null;
+
+    /**
+     * Normalize an author string for comparison
+     * @param {string} name - e.g. "Y (Katie) Zhao*"
+     * @returns {string} - e.g. "y zhao"
+     */
+    function authorKey(name) {
+        return name
+            .replace(/\*+$/, '')
+            .replace(/\([^)]*\)/g, ' ')
+            .trim()
+            .replace(/\s+/g, ' ')
+            .toLowerCase();
+    }
+
+    /**
+     * Default spellings of a roster name
+     * @param {string} name - Full name, e.g. "Rana Muhammad Shahroz Khan"
+     * @returns {Array} - Keys, e.g. ["r khan", "rms khan"]
+     */
+    function defaultAliases(name) {
+        const words = name.trim().split(/\s+/);
+        if (words.length < 2) return [];
+
+        const surname = words[words.length - 1];
+        const initials = words.slice(0, -1).join(' ').split(/[\s-]+/).map(word => word[0]).join('');
+        return Array.from(new Set([initials[0] + ' ' + surname, initials + ' ' + surname].map(authorKey)));
+    }
+
+    /**
+     * Combine the roster with data/authors.json
+     * @param {Array} roster - Members from LabRoster.load()
+     * @param {Object} entries - Parsed data/authors.json
+     * @returns {Object} - {people: [{id, name, url, link, role, since, until}],
+     *                     keys: {key: [ids]}, explicit: {key: [ids]}, entries};
+     *                     role is "pi", "member" or "alumni"
+     */
+    function buildRegistry(roster, entries) {
+        const people = roster.map(member => ({
+            id: member.id,
+            name: member.name,
+            url: member.url,
+            link: 'group.html#' + member.id,
+            role: member.pi ? 'pi' : member.alumni ? 'alumni' : 'member',
+            since: member.since || null,
+            until: member.until || null
+        }));
+
+        // Former members who are no longer on group.html link to their own page
+        Object.keys(entries).forEach(id => {
+            const entry = entries[id];
+            if (entry.name && !people.some(person => person.id === id)) {
+                people.push({
+                    id: id,
+                    name: entry.name,
+                    url: entry.url || '',
+                    link: entry.url || '',
+                    role: 'alumni',
+                    since: entry.since || null,
+                    until: entry.until || null
+                });
+            }
+        });
+
+        const keys = {};
+        const explicit = {};
+        const add = (index, key, id) => {
+            index[key] = index[key] || [];
+            if (!index[key].includes(id)) index[key].push(id);
+        };
+        people.forEach(person => {
+            defaultAliases(person.name).forEach(key => add(keys, key, person.id));
+            ((entries[person.id] || {}).aliases || []).forEach(alias => add(explicit, authorKey(alias), person.id));
+        });
+
+        return { people: people, keys: keys, explicit: explicit, entries: entries };
+    }
+
+    /**
+     * Look up a registry person
+     * @param {Object} registry - From buildRegistry()
+     * @param {string} id - Person id
+     * @returns {Object} - The person
+     */
+    function findPerson(registry, id) {
+        return registry.people.find(person => person.id === id);
+    }
+
+    /**
+     * Check whether a paper dates from a person's time in the lab
+     * @param {Object} person - Registry person with since/until years
+     * @param {number} [year] - Paper year
+     * @returns {boolean} - True within the years, or for a person without any
+     */
+    function withinTenure(person, year) {
+        if (!person.since && !person.until) return true;
+        if (!year) return false;
+        return (!person.since || year >= person.since) && (!person.until || year <= person.until);
+    }
+
+    /**
+     * Find the lab members in a paper's author list
+     * @param {Object} paper - Paper record with id and authors
+     * @param {Object} registry - From buildRegistry() / load()
+     * @returns {Array} - One entry per author: the person ({id, name, link, role}) or null
+     */
+    function resolveAuthors(paper, registry) {
+        const keys = paper.authors.map(authorKey);
+        const resolved = keys.map(() => null);
+        const placed = new Set();
+
+        // Positions given in data/authors.json come first
+        registry.people.forEach(person => {
+            const position = ((registry.entries[person.id] || {}).positions || {})[paper.id];
+            if (position >= 1 && position <= keys.length) {
+                resolved[position - 1] = person;
+                placed.add(person.id);
+            }
+        });
+
+        keys.forEach((key, index) => {
+            if (resolved[index]) return;
+            // A name twice in one list could be either person
+            if (keys.indexOf(key) !== keys.lastIndexOf(key)) return;
+
+            // Explicit aliases count on every paper, default spellings only during the tenure
+            const candidates = registry.explicit[key] ||
+                (registry.keys[key] || []).filter(id => withinTenure(findPerson(registry, id), paper.year));
+            const ids = candidates.filter(id => {
+                const entry = registry.entries[id] || {};
+                return !placed.has(id) && !(entry.not || []).includes(paper.id);
+            });
+            if (ids.length === 1) {
+                resolved[index] = findPerson(registry, ids[0]);
+            }
+        });
+        return resolved;
+    }
+
+    /**
+     * Load the registry (fetched once per page); without data/authors.json
+     * only the default spellings are known
+     * @returns {Promise<Object>} - Resolves with the registry
+     */
+    function load() {
+        if (!registryPromise) {
+            const entries = fetch(AUTHORS_URL, { cache: 'no-cache' })
+                .then(response => (response.ok ? response.json() : {}));
+            registryPromise = Promise.all([window.LabRoster.load(), entries])
+                .then(([roster, data]) => buildRegistry(roster, data));
+        }
+        return registryPromise;
+    }
+
+    return {
+        load: load,
+        authorKey: authorKey,
+        buildRegistry: buildRegistry,
+        resolveAuthors: resolveAuthors
+    };
+
+});
@@ -0,0 +1,580 @@
+/**
+ * bibtex.js - Read and write BibTeX for the lab's publication records
+ *
+ * Parses .bib files into entries, turns them into the paper records of
+ * data/publications.json (see js/papers.js) and formats a record back into a
+ * BibTeX entry for the "Cite" popover on publication.html. Nothing here
+ * touches the DOM, so the same code runs in the browser (window.BibTeX, used
+ * by js/publications.js) and in Node (scripts/import-bibtex.js).
+ *
+ * Supported input: @inproceedings, @article and @misc entries (arXiv
+ * preprints included), @string macros with # concatenation, month macros,
+ * @comment and @preamble blocks (skipped), LaTeX accents such as {\"u},
+ * \'{e} or \v{s}, and author lists joined with "and" in either "First Last"
+ * or "Last, First" form. Authors come out the way the site lists them, e.g.
+ * "Mingyu Zhang" -> "M Zhang".
+ *
+ * Venues are matched against VENUES by their full name or abbreviation, so
+ * "Advances in Neural Information Processing Systems" becomes "NeurIPS" and
+ * "Findings of the Association for Computational Linguistics: EMNLP 2025"
+ * becomes EMNLP with the note "Findings". Unknown venues keep their name.
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.BibTeX = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Venues the lab publishes at: site label, full name and what matches it
+    const VENUES = [
+        { venue: 'NeurIPS', name: 'Advances in Neural Information Processing Systems', pattern: /neural information processing systems|\bneurips\b|\bnips\b/i },
+        { venue: 'ICML', name: 'International Conference on Machine Learning', pattern: /international conference on machine learning|\bicml\b/i },
+        { venue: 'ICLR', name: 'International Conference on Learning Representations', pattern: /learning representations|\biclr\b/i },
+        { venue: 'CVPR', name: 'IEEE/CVF Conference on Computer Vision and Pattern Recognition', pattern: /computer vision and pattern recognition|\bcvpr\b/i },
+        { venue: 'ECCV', name: 'European Conference on Computer Vision', pattern: /european conference on computer vision|\beccv\b/i },
+        { venue: 'ACM MM', name: 'ACM International Conference on Multimedia', pattern: /international conference on multimedia|\bacm mm\b/i },
+        { venue: 'EMNLP', name: 'Conference on Empirical Methods in Natural Language Processing', pattern: /empirical methods in natural language processing|\bemnlp\b/i },
+        { venue: 'NAACL', name: 'Conference of the Nations of the Americas Chapter of the Association for Computational Linguistics', pattern: /(north american|nations of the americas) chapter|\bnaacl\b/i },
+        { venue: 'EACL', name: 'Conference of the European Chapter of the Association for Computational Linguistics', pattern: /european chapter of the association for computational linguistics|\beacl\b/i },
+        { venue: 'COLING', name: 'International Conference on Computational Linguistics', pattern: /international conference on computational linguistics|\bcoling\b/i },
+        { venue: 'ACL', name: 'Annual Meeting of the Association for Computational Linguistics', pattern: /annual meeting of the association for computational linguistics|^acl\b/i },
+        { venue: 'COLM', name: 'Conference on Language Modeling', pattern: /conference on language modeling|\bcolm\b/i },
+        { venue: 'KDD', name: 'ACM SIGKDD Conference on Knowledge Discovery and Data Mining', pattern: /knowledge discovery and data mining|\bkdd\b/i },
+        { venue: 'WSDM', name: 'ACM International Conference on Web Search and Data Mining', pattern: /web search and data mining|\bwsdm\b/i },
+        { venue: 'SDM', name: 'SIAM International Conference on Data Mining', pattern: /siam international conference on data mining|\bsdm\b/i },
+        { venue: 'AAAI', name: 'AAAI Conference on Artificial Intelligence', pattern: /\baaai\b/i },
+        { venue: 'ICASSP', name: 'IEEE International Conference on Acoustics, Speech and Signal Processing', pattern: /acoustics,? speech,? and signal processing|\bicassp\b/i },
+        { venue: 'USENIX Security', name: 'USENIX Security Symposium', pattern: /usenix security/i },
+        { venue: 'S&P', name: 'IEEE Symposium on Security and Privacy', pattern: /symposium on security and privacy|\bs&p\b/i },
+        { venue: 'JAMIA', name: 'Journal of the American Medical Informatics Association', pattern: /american medical informatics association|\bjamia\b/i, journal: true },
+        { venue: 'JBI', name: 'Journal of Biomedical Informatics', pattern: /journal of biomedical informatics|\bjbi\b/i, journal: true },
+        { venue: 'EAAI', name: 'Engineering Applications of Artificial Intelligence', pattern: /engineering applications of artificial intelligence|\beaai\b/i, journal: true },
+        { venue: 'Nature Plants', name: 'Nature Plants', pattern: /^nature plants$/i, journal: true },
+        { venue: 'Bioinformatics', name: 'Bioinformatics', pattern: /^bioinformatics$/i, journal: true },
+        { venue: 'npj Quantum Information', name: 'npj Quantum Information', pattern: /^npj quantum information$/i, journal: true }
+    ];
+
+    const ARXIV = 'arXiv';
+    const FINDINGS_PATTERN = /^findings of the association for computational linguistics:?\s*([A-Za-z-]+)/i;
+    const ARXIV_URL_PATTERN = /arxiv\.org\/(?:abs|pdf)\/([^\s?#]+?)(?:v\d+)?(?:\.pdf)?$/i;
+
+    const MONTHS = {
+        jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+        jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December'
+    };
+
+    // Combining marks for \'e, \"{o}, \v{s}, ...
+    const ACCENTS = {
+        '`': '\u0300', '\'': '\u0301', '^': '\u0302', '~': '\u0303', '=': '\u0304', '.': '\u0307',
+        '"': '\u0308', 'u': '\u0306', 'v': '\u030c', 'H': '\u030b', 'r': '\u030a', 'c': '\u0327',
+        'k': '\u0328', 'd': '\u0323', 'b': '\u0331'
+    };
+
+    const SYMBOLS = {
+        ss: '\u00df', ae: '\u00e6', AE: '\u00c6', oe: '\u0153', OE: '\u0152', aa: '\u00e5', AA: '\u00c5',
+        o: '\u00f8', O: '\u00d8', l: '\u0142', L: '\u0141', i: '\u0131', j: '\u0237'
+    };
+
+    // Stand-ins for \{ and \} while the grouping braces are removed
+    const OPEN_BRACE = '\ue000';
+    const CLOSE_BRACE = '\ue001';
+
+    // Characters that need a backslash inside a BibTeX value
+    const SPECIAL_CHARS = /([&%$#_])/g;
+
+    /**
+     * Line number of a position, for parse errors
+     * @param {string} text - Whole input
+     * @param {number} index - Character position
+     * @returns {number} - 1-based line
+     */
+    function lineAt(text, index) {
+        return text.slice(0, index).split('\n').length;
+    }
+
+    /**
+     * Parse a .bib file
+     * @param {string} text - File contents
+     * @returns {Array} - [{type, key, fields}]; type and field names are
+     *                    lowercase, field values are raw BibTeX (braces and
+     *                    LaTeX kept, @string and month macros expanded)
+     * @throws {Error} - On malformed entries, naming the line
+     */
+    function parse(text) {
+        const entries = [];
+        const strings = Object.assign({}, MONTHS);
+        let pos = 0;
+
+        const fail = message => {
+            throw new Error(`Line ${lineAt(text, pos)}: ${message}`);
+        };
+        const skipSpace = () => {
+            while (pos < text.length && /\s/.test(text[pos])) pos++;
+        };
+        const readName = () => {
+            const match = /^[A-Za-z0-9_:.+\/-]+/.exec(text.slice(pos));
+            if (!match) fail('expected a name');
+            pos += match[0].length;
+            return match[0];
+        };
+
+        // Contents of a {...} group starting at pos, braces balanced
+        const readBraced = () => {
+            const start = ++pos;
+            let depth = 1;
+            while (pos < text.length) {
+                const char = text[pos];
+                if (char === '\\') {
+                    pos += 2;
+                    continue;
+                }
+                if (char === '{') depth++;
+                if (char === '}' && --depth === 0) {
+                    return text.slice(start, pos++);
+                }
+                pos++;
+            }
+            pos = start;
+            return fail('unbalanced braces');
+        };
+
+        const readQuoted = () => {
+            const start = ++pos;
+            let depth = 0;
+            while (pos < text.length) {
+                const char = text[pos];
+                if (char === '\\') {
+                    pos += 2;
+                    continue;
+                }
+                if (char === '{') depth++;
+                if (char === '}') depth--;
+                if (char === '"' && depth === 0) {
+                    return text.slice(start, pos++);
+                }
+                pos++;
+            }
+            pos = start;
+            return fail('unterminated quoted value');
+        };
+
+        // value = part # part # ...
+        const readValue = () => {
+            let value = '';
+            for (;;) {
+                skipSpace();
+                const char = text[pos];
+                if (char === '{') {
+                    value += readBraced();
+                } else if (char === '"') {
+                    value += readQuoted();
+                } else if (/[0-9]/.test(char)) {
+                    value += readName();
+                } else {
+                    const macro = readName().toLowerCase();
+                    if (!(macro in strings)) fail(`unknown @string "${macro}"`);
+                    value += strings[macro];
+                }
+                skipSpace();
+                if (text[pos] !== '#') return value;
+                pos++;
+            }
+        };
+
+        while ((pos = text.indexOf('@', pos)) !== -1) {
+            pos++;
+            skipSpace();
+            const type = readName().toLowerCase();
+            skipSpace();
+            const open = text[pos];
+            if (open !== '{' && open !== '(') fail(`expected "{" after @${type}`);
+            const close = open === '{' ? '}' : ')';
+
+            if (type === 'comment' || type === 'preamble') {
+                if (open === '{') {
+                    readBraced();
+                } else {
+                    pos = text.indexOf(')', pos) + 1 || text.length;
+                }
+                continue;
+            }
+            pos++;
+            skipSpace();
+
+            if (type === 'string') {
+                const name = readName().toLowerCase();
+                skipSpace();
+                if (text[pos] !== '=') fail(`expected "=" in @string ${name}`);
+                pos++;
+                strings[name] = readValue();
+                if (text[pos] !== close) fail(`expected "${close}" to end @string ${name}`);
+                pos++;
+                continue;
+            }
+
+            const keyMatch = /^[^,\s})]+/.exec(text.slice(pos));
+            if (!keyMatch) fail(`@${type} entry without a citation key`);
+            const key = keyMatch[0];
+            pos += key.length;
+
+            const fields = {};
+            for (;;) {
+                skipSpace();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace();
+                }
+                if (text[pos] === close) {
+                    pos++;
+                    break;
+                }
+                if (pos >= text.length) fail(`entry ${key} is not closed`);
+                const name = readName().toLowerCase();
+                skipSpace();
+                if (text[pos] !== '=') fail(`expected "=" after ${name} in ${key}`);
+                pos++;
+                fields[name] = readValue().trim();
+                if (text[pos] !== ',' && text[pos] !== close) fail(`expected "," or "${close}" after ${name} in ${key}`);
+            }
+
+            entries.push({ type: type, key: key, fields: fields });
+        }
+        return entries;
+    }
+
+    /**
+     * Turn a BibTeX value into plain text
+     * @param {string} value - Raw value, e.g. "Schr{\"o}dinger's \emph{cat} -- revisited"
+     * @returns {string} - e.g. "Schrödinger's cat – revisited"
+     */
+    function decodeLaTeX(value) {
+        const base = letter => (letter === '\\i' ? 'i' : letter === '\\j' ? 'j' : letter.replace('\\', ''));
+        const accent = (mark, letter) => (base(letter) + ACCENTS[mark]).normalize('NFC');
+
+        return String(value || '')
+            .replace(/\\\{/g, OPEN_BRACE)
+            .replace(/\\\}/g, CLOSE_BRACE)
+            .replace(/\\([`'^~=."])\s*(?:\{\s*(\\?[A-Za-z])\s*\}|(\\?[A-Za-z]))/g,
+                (match, mark, braced, bare) => accent(mark, braced || bare))
+            .replace(/\\([uvHrckdb])(?:\s*\{\s*(\\?[A-Za-z])\s*\}|\s+(\\?[A-Za-z]))/g,
+                (match, mark, braced, bare) => accent(mark, braced || bare))
+            .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i|j)(?![A-Za-z])(?:\s*\{\})?\s?/g, (match, name) => SYMBOLS[name])
+            .replace(/\\(?:textit|textbf|textsc|texttt|textrm|textsf|emph|mathrm|mathbf|text|mbox)\s*(?=\{)/g, '')
+            .replace(/(^|[^\\])\$/g, '$1')
+            .replace(/\\([&%$#_])/g, '$1')
+            .replace(/---/g, '\u2014')
+            .replace(/--/g, '\u2013')
+            .replace(/\\\\|\\,|~/g, ' ')
+            .replace(/\\([A-Za-z]+)/g, '$1')
+            .replace(/[{}]/g, '')
+            .replace(new RegExp(OPEN_BRACE, 'g'), '{')
+            .replace(new RegExp(CLOSE_BRACE, 'g'), '}')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Split a value at a separator that is outside any braces
+     * @param {string} value - Raw value
+     * @param {RegExp} separator - Anchored pattern, e.g. /^\s+and\s+/i
+     * @returns {Array} - Trimmed parts
+     */
+    function splitTopLevel(value, separator) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+            if (depth === 0) {
+                const match = separator.exec(value.slice(i));
+                if (match && match[0].length > 0) {
+                    parts.push(value.slice(start, i));
+                    i += match[0].length - 1;
+                    start = i + 1;
+                }
+            }
+        }
+        parts.push(value.slice(start));
+        return parts.map(part => part.trim()).filter(part => part !== '');
+    }
+
+    /**
+     * Parse one BibTeX name ("First von Last", "von Last, First" or "von Last, Jr, First")
+     * @param {string} raw - Raw name
+     * @returns {Object} - {first, von, last, jr} decoded, or {others: true} for "others"
+     */
+    function parseName(raw) {
+        if (raw.trim().toLowerCase() === 'others') {
+            return { others: true };
+        }
+
+        const parts = splitTopLevel(raw, /^,/);
+        const isLower = word => /^[a-z]/.test(decodeLaTeX(word));
+        let first = [];
+        let von = [];
+        let last = [];
+        let jr = '';
+
+        if (parts.length === 1) {
+            const words = splitTopLevel(parts[0], /^\s+/);
+            last = words.splice(-1);
+            const vonStart = words.findIndex(isLower);
+            if (vonStart === -1) {
+                first = words;
+            } else {
+                first = words.slice(0, vonStart);
+                von = words.slice(vonStart);
+            }
+        } else {
+            const words = splitTopLevel(parts[0], /^\s+/);
+            let vonEnd = 0;
+            while (vonEnd < words.length - 1 && isLower(words[vonEnd])) vonEnd++;
+            von = words.slice(0, vonEnd);
+            last = words.slice(vonEnd);
+            first = splitTopLevel(parts[parts.length - 1], /^\s+/);
+            jr = parts.length > 2 ? parts[1] : '';
+        }
+
+        return {
+            first: decodeLaTeX(first.join(' ')),
+            von: decodeLaTeX(von.join(' ')),
+            last: decodeLaTeX(last.join(' ')),
+            jr: decodeLaTeX(jr)
+        };
+    }
+
+    /**
+     * Split an author field into names
+     * @param {string} value - Raw "A and B and others" value
+     * @returns {Array} - Parsed names (see parseName)
+     */
+    function splitAuthors(value) {
+        return splitTopLevel(value || '', /^\s+and\s+/i).map(parseName);
+    }
+
+    /**
+     * Write a name the way the site lists authors
+     * @param {Object} name - From parseName()
+     * @returns {string} - e.g. "M Zhang", "LJ Aguirre Lopez" or "et al."
+     */
+    function formatAuthor(name) {
+        if (name.others) return 'et al.';
+        const initials = name.first
+            .split(/[\s-]+/)
+            .filter(word => /^\p{L}/u.test(word))
+            .map(word => word[0].toUpperCase())
+            .join('');
+        return [initials, name.von, name.last, name.jr].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Find a venue by its full name or abbreviation
+     * @param {string} text - Decoded booktitle, journal or site label
+     * @returns {Object|null} - VENUES entry
+     */
+    function findVenue(text) {
+        const name = String(text || '').replace(/^proceedings of (the )?/i, '').replace(/\s*\(.*?\)\s*/g, ' ').trim();
+        return VENUES.find(entry => entry.venue === text || entry.pattern.test(name)) || null;
+    }
+
+    /**
+     * Lowercase ASCII slug
+     * @param {string} text - Any text
+     * @returns {string} - e.g. "model-glue"
+     */
+    function slug(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Turn a parsed entry into a paper record for data/publications.json
+     * @param {Object} entry - From parse()
+     * @returns {Object} - {id, title, authors, venue, year, note, status, links, bibtex}
+     *                     with the entry re-formatted as bibtex (macros expanded);
+     *                     missing values are left out. "topics" is up to the caller.
+     */
+    function toPaper(entry) {
+        const fields = entry.fields;
+        const plain = value => String(value || '').replace(/[{}]/g, '').trim();
+        const title = decodeLaTeX(fields.title);
+        const container = decodeLaTeX(fields.booktitle || fields.journal || fields.howpublished || '');
+        const eprint = plain(fields.eprint);
+        const isArxiv = /arxiv/i.test(decodeLaTeX(fields.archiveprefix || fields.eprinttype)) ||
+            /arxiv/i.test(container) || (entry.type === 'misc' && /arxiv/i.test(plain(fields.url)));
+
+        let venue = container;
+        let note = '';
+        const findings = FINDINGS_PATTERN.exec(container);
+        if (isArxiv) {
+            venue = ARXIV;
+        } else if (findings) {
+            venue = (findVenue(findings[1]) || { venue: findings[1] }).venue;
+            note = 'Findings';
+        } else if (findVenue(container)) {
+            venue = findVenue(container).venue;
+        }
+
+        const pending = /to appear|accepted|forthcoming|in press/i.test(decodeLaTeX(fields.pubstate || fields.note));
+        const url = plain(fields.url) ||
+            (isArxiv && eprint ? `https://arxiv.org/abs/${eprint}` : '') ||
+            (fields.doi ? `https://doi.org/${plain(fields.doi).replace(/^https?:\/\/(dx\.)?doi\.org\//, '')}` : '');
+        const year = parseInt(decodeLaTeX(fields.year), 10);
+
+        const paper = {
+            id: slug(title.split(':')[0].split(/\s+/).slice(0, 5).join(' ')),
+            title: title,
+            authors: splitAuthors(fields.author).map(formatAuthor),
+            venue: venue || undefined,
+            year: year || undefined,
+            note: note || undefined,
+            status: isArxiv ? 'preprint' : pending ? 'accepted' : 'published',
+            links: url ? { paper: url } : undefined,
+            bibtex: formatEntry(entry)
+        };
+        Object.keys(paper).forEach(key => paper[key] === undefined && delete paper[key]);
+        return paper;
+    }
+
+    /**
+     * Escape text for a BibTeX value
+     * @param {string} text - Plain text
+     * @returns {string} - Text with &, %, $, # and _ escaped
+     */
+    function escapeLaTeX(text) {
+        return String(text).replace(SPECIAL_CHARS, '\\$1');
+    }
+
+    /**
+     * Split a site author name into given names and surname: the last word
+     * is the surname, everything before it is given names or nicknames
+     * @param {string} author - e.g. "R Shahroz Khan*"
+     * @returns {Object|null} - {given: ["R", "Shahroz"], surname: "Khan"}, or null
+     *                          for a name not led by initials (a group, "et al.")
+     */
+    function splitSiteName(author) {
+        const words = author.replace(/\*+$/, '').trim().split(/\s+/);
+        if (words.length < 2 || !/^\p{Lu}+$/u.test(words[0]) || /^\(.*\)$/.test(words[words.length - 1])) {
+            return null;
+        }
+        return { given: words.slice(0, -1), surname: words[words.length - 1] };
+    }
+
+    /**
+     * Key-safe form of a word: ASCII letters and digits only
+     * @param {string} text - e.g. "Lopez-García"
+     * @returns {string} - e.g. "lopezgarcia"
+     */
+    function keyWord(text) {
+        return slug(text).replace(/-/g, '');
+    }
+
+    /**
+     * Write a site author name as a BibTeX name
+     * @param {string} author - e.g. "M Zhang*", "Y (Katie) Zhao" or "R Shahroz Khan"
+     * @returns {string} - e.g. "Zhang, M.", "Zhao, Y. (Katie)", "Khan, R. Shahroz"
+     */
+    function toBibTeXName(author) {
+        const name = splitSiteName(author);
+        if (!name) {
+            return `{${escapeLaTeX(author.replace(/\*+$/, '').trim())}}`;
+        }
+        // The leading initials are spelled out; later given names and nicknames stay as written
+        const initials = name.given[0].split('').map(letter => letter + '.');
+        const given = initials.concat(name.given.slice(1).map(escapeLaTeX));
+        return `${escapeLaTeX(name.surname)}, ${given.join(' ')}`;
+    }
+
+    /**
+     * Build a BibTeX entry from a paper record (for papers imported without one)
+     * @param {Object} paper - Paper record
+     * @returns {Object} - {type, key, fields} with raw BibTeX values
+     */
+    function fromPaper(paper) {
+        const known = findVenue(paper.venue);
+        const authors = paper.authors.filter(author => author !== '...' && author !== 'et al.');
+        const truncated = authors.length < paper.authors.length;
+        const firstName = splitSiteName(authors[0] || '');
+        const firstAuthor = firstName ? keyWord(firstName.surname) : '';
+        const titleWord = paper.title.split(/\s+/).map(keyWord).find(word => word.length > 3) || '';
+        const fields = {
+            title: escapeLaTeX(paper.title),
+            author: authors.map(toBibTeXName).concat(truncated ? ['others'] : []).join(' and ')
+        };
+        const links = paper.links || {};
+        const url = [links.paper, links.arxiv, links.openreview, links.pdf].map(link => [].concat(link || [])[0]).find(Boolean);
+        let type = 'inproceedings';
+
+        if (paper.venue === ARXIV) {
+            type = 'misc';
+            const arxiv = ARXIV_URL_PATTERN.exec(url || '');
+            if (arxiv) {
+                fields.eprint = arxiv[1];
+                fields.archiveprefix = 'arXiv';
+            } else {
+                fields.howpublished = 'arXiv preprint';
+            }
+        } else if (paper.note === 'Findings') {
+            fields.booktitle = `Findings of the Association for Computational Linguistics: ${paper.venue}${paper.year ? ' ' + paper.year : ''}`;
+        } else if (known && known.journal) {
+            type = 'article';
+            fields.journal = escapeLaTeX(known.name);
+        } else {
+            fields.booktitle = escapeLaTeX(known ? known.name : paper.venue);
+        }
+
+        if (paper.year) fields.year = String(paper.year);
+        if (paper.note && paper.note !== 'Findings') fields.note = escapeLaTeX(paper.note);
+        if (paper.status === 'accepted') fields.pubstate = 'forthcoming';
+        if (url) fields.url = url;
+
+        return {
+            type: type,
+            key: firstAuthor + (paper.year || '') + titleWord,
+            fields: fields
+        };
+    }
+
+    /**
+     * Format an entry as BibTeX source
+     * @param {Object} entry - {type, key, fields}
+     * @returns {string} - "@type{key,\n  field = {value},\n  ...\n}"
+     */
+    function formatEntry(entry) {
+        const fields = Object.keys(entry.fields).map(name => `  ${name} = {${entry.fields[name]}}`);
+        return `@${entry.type}{${entry.key},\n${fields.join(',\n')}\n}`;
+    }
+
+    /**
+     * BibTeX to show for a paper: its imported entry, or one built from the record
+     * @param {Object} paper - Paper record
+     * @returns {string} - BibTeX source
+     */
+    function citationFor(paper) {
+        return paper.bibtex || formatEntry(fromPaper(paper));
+    }
+
+    return {
+        VENUES: VENUES,
+        parse: parse,
+        decodeLaTeX: decodeLaTeX,
+        splitAuthors: splitAuthors,
+        formatAuthor: formatAuthor,
+        findVenue: findVenue,
+        toPaper: toPaper,
+        fromPaper: fromPaper,
+        formatEntry: formatEntry,
+        citationFor: citationFor
+    };
+
+});
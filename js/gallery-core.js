@@ -0,0 +1,1507 @@
+/**
+ * gallery-core.js - Pure gallery logic shared by the page and the build scripts
+ *
+ * Parses gallery filenames and metadata, groups photos by category and date,
+ * searches them and renders the gallery markup as strings. Nothing here
+ * touches the DOM, so the same code runs in the browser (window.GalleryCore,
+ * used by js/gallery.js) and in Node (require('./js/gallery-core')), e.g. to
+ * validate names in scripts/build-gallery.js or pre-render the page.
+ *
+ * Filename format: category_order_description.jpg
+ * Example: conference_01_ICML 2025 Poster Session.jpg
+ *
+ * Besides photos, an entry can be a short clip (.mp4/.webm, shown with the
+ * poster frame scripts/build-gallery.js extracts) or a recorded talk on
+ * YouTube: a .youtube text file holding the video URL, e.g.
+ *   conference_08_Jul 2025 - ICML Oral Talk.youtube
+ *
+ * Timeline dates are resolved in this order: metadata.json "date", a date in
+ * the description ("Aug 2024 - ...", "2025-08-14", "Dec 10-15, 2024",
+ * "Aug-Sep 2025", "Fall 2024"), then the EXIF capture date recorded in the
+ * manifest. Photos without any date are listed under "Undated".
+ *
+ * Optional per-photo details live in gallery/metadata.json, keyed by filename,
+ * and reach the page through the manifest (scripts/build-gallery.js):
+ *   "conference_01_....jpg": {
+ *       "description": "Caption shown instead of the filename description",
+ *       "longDescription": "The story behind the photo",
+ *       "date": "2024-12",
+ *       "event": "NeurIPS 2024",
+ *       "location": "Vancouver, Canada",
+ *       "people": ["pingzhi-li", "xinyu-zhao"],
+ *       "credit": "Photographer name",
+ *       "album": "NeurIPS 2024 Trip",
+ *       "paper": "model-glue"
+ *   }
+ * "paper" is the id of a paper in data/publications.json (see js/papers.js);
+ * the caption links to it and the entry gets a camera button opening its photos.
+ * Photos with the privacy flags "privacy" and "blur" live in gallery-private/,
+ * which is never published: scripts/build-gallery.js leaves hidden and
+ * members-only ones out of the manifest and serves the others only through
+ * derived copies, opening the full-size copy (manifest "full") in the lightbox.
+ *
+ * The gallery is shown in one of several views (see VIEWS): category
+ * sections, the timeline, one section per tagged person or one per year.
+ * Only the active view is rendered, and in the browser every section after
+ * the first few is deferred in a <template> until it nears the viewport.
+ *
+ * Photos of one category that share an "album" collapse into a single album
+ * card in the grid and a single entry on the timeline; the card opens all of
+ * them as one lightbox group. Albums are opt-in: photos that only share an
+ * "event" stay separate.
+ *
+ * All markup is built with the html`` template tag of js/markup.js (loaded
+ * first, as window.Markup), which escapes every interpolated value, so
+ * captions and filenames can safely contain quotes, "<", "&" or unicode.
+ *
+ * Categories are configured in gallery/categories.json, keyed by filename prefix:
+ *   "conference": {
+ *       "title": "Conference Moments",
+ *       "description": "Shown under the section heading",
+ *       "anchor": "conferences",
+ *       "sort": 1,
+ *       "cover": "conference_04_....jpg",
+ *       "visible": false
+ *   }
+ * Only "title" is required. Sections appear in "sort" order (then file order),
+ * the anchor defaults to the key, the cover is shown in the quick navigation
+ * and "visible": false hides the section and its photos. In preview mode
+ * (gallery.html?preview=1) hidden sections are shown too, and photos whose
+ * prefix is not configured are collected under "Uncategorized".
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.GalleryCore = factory(root.Markup);
+    }
+})(typeof self !== 'undefined' ? self : this, function(Markup) {
+    'use strict';
+
+    const { html, raw, escapeHTML, highlightMatches } = Markup;
+
+    // Section for photos whose prefix is not in gallery/categories.json (preview mode only)
+    const UNCATEGORIZED = 'uncategorized';
+    const UNCATEGORIZED_CATEGORY = {
+        title: 'Uncategorized',
+        description: 'Photos whose filename prefix is not configured in gallery/categories.json. Visitors do not see this section.',
+        anchor: 'uncategorized',
+        cover: '',
+        visible: false
+    };
+
+    // Rendered image widths per breakpoint, matching the grid/timeline rules in css/style.css
+    const GRID_SIZES = '(min-width: 1200px) 255px, (min-width: 992px) 22vw, (min-width: 768px) 31vw, (min-width: 576px) 47vw, 100vw';
+    const TIMELINE_SIZES = '(max-width: 575px) 140px, (max-width: 767px) 160px, 200px';
+
+    // Photos sharing an album key needed before they collapse into an album card
+    const ALBUM_MIN_PHOTOS = 2;
+
+    // Ways to browse the gallery, in switcher order; the first is the default
+    const VIEWS = {
+        category: 'By category',
+        timeline: 'Timeline',
+        person: 'By person',
+        year: 'By year'
+    };
+
+    // Sections rendered straight away when deferring; later ones wait for the viewport
+    const EAGER_SECTIONS = 2;
+
+    // Aspect ratios (width / height) the justified layout honours; more extreme
+    // panoramas and strips are cropped to these
+    const MIN_LAYOUT_RATIO = 0.5;
+    const MAX_LAYOUT_RATIO = 3;
+
+    // Estimated heights of deferred content (px), so the page does not jump as it fills in
+    const GRID_ROW_HEIGHT = 290;
+    const TIMELINE_ENTRY_HEIGHT = 230;
+
+    // Search qualifiers and the parsed search lists they fill (see parseSearchQuery)
+    const SEARCH_QUALIFIERS = { year: 'years', category: 'categories' };
+
+    // File extensions of each kind of gallery entry
+    const MEDIA_EXTENSIONS = {
+        image: /\.(jpg|jpeg|png|gif|webp)$/i,
+        video: /\.(mp4|webm)$/i,
+        youtube: /\.youtube$/i
+    };
+
+    /**
+     * Kind of gallery entry a file is, from its extension
+     * @param {string} filename - File name inside gallery/
+     * @returns {string|null} - "image", "video", "youtube" or null if unsupported
+     */
+    function mediaType(filename) {
+        return Object.keys(MEDIA_EXTENSIONS).find(type => MEDIA_EXTENSIONS[type].test(filename)) || null;
+    }
+
+    /**
+     * URL of an original file, safe for names with spaces, "#" or "?"
+     * @param {string} filename - Photo or clip filename
+     * @returns {string} - Relative URL
+     */
+    function imageURL(filename) {
+        return 'gallery/' + encodeURIComponent(filename);
+    }
+
+    /**
+     * Turn a gallery filename into its photo slug, used for #photo= links and
+     * the gallery/derived/ filenames
+     * @param {string} filename - e.g. "lablife_07_Jan 2025 - Lunch at So Hot Pot.jpg"
+     * @returns {string} - e.g. "lablife-07-jan-2025-lunch-at-so-hot-pot"
+     */
+    function slugify(filename) {
+        return filename
+            .replace(/\.[^.]+$/, '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Parse filename to extract category, order, and description, then merge
+     * in sidecar metadata (its description and date win over the filename's)
+     * @param {string} filename - The image filename
+     * @param {Object} [metadata] - Sidecar metadata keyed by filename
+     * @param {Object} [assets] - Manifest assets keyed by filename (EXIF dates)
+     * @returns {Object|null} - Parsed info or null if invalid format
+     */
+    function parseFilename(filename, metadata, assets) {
+        // Remove extension
+        const media = mediaType(filename) || 'image';
+        const nameWithoutExt = filename.replace(MEDIA_EXTENSIONS[media], '');
+
+        // Split by underscore (only first two underscores)
+        const parts = nameWithoutExt.split('_');
+
+        if (parts.length < 3) {
+            console.warn('Invalid filename format:', filename);
+            return null;
+        }
+
+        const category = parts[0].toLowerCase();
+        const order = parseInt(parts[1], 10);
+        const description = parts.slice(2).join('_'); // Rejoin in case description has underscores
+
+        const meta = (metadata && metadata[filename]) || {};
+        const asset = (assets && assets[filename]) || {};
+        const dateInfo = (meta.date && parseIsoDate(meta.date, meta.event || description)) ||
+            parseDateFromDescription(description) ||
+            (asset.date && parseIsoDate(asset.date, description)) ||
+            null;
+
+        return {
+            filename: filename,
+            category: category,
+            order: order,
+            description: meta.description || description,
+            longDescription: meta.longDescription || '',
+            event: meta.event || (dateInfo ? dateInfo.event : ''),
+            location: meta.location || '',
+            people: meta.people || [],
+            credit: meta.credit || '',
+            dateInfo: dateInfo,
+            media: media,
+            youtube: asset.youtube || null,
+            full: asset.full || '',
+            album: meta.album || '',
+            paper: meta.paper || ''
+        };
+    }
+
+    /**
+     * URL of the full-size photo: the derived copy of a photo kept in
+     * gallery-private/ (see scripts/build-gallery.js), otherwise the original
+     * @param {Object} item - Parsed image info
+     * @returns {string} - URL relative to the site root
+     */
+    function fullImageURL(item) {
+        return item.full ? 'gallery/' + item.full : imageURL(item.filename);
+    }
+
+    /**
+     * What the lightbox opens for an item
+     * @param {Object} item - Parsed image info
+     * @returns {Object} - {src, type}; type is null for YouTube, which fancybox detects from the URL
+     */
+    function mediaSource(item) {
+        if (item.media === 'youtube') {
+            return { src: 'https://www.youtube.com/watch?v=' + encodeURIComponent(item.youtube || ''), type: null };
+        }
+        return { src: fullImageURL(item), type: item.media };
+    }
+
+    /**
+     * Turn gallery/categories.json into the sections to render, in display order
+     * @param {Object} config - Category settings keyed by filename prefix
+     * @param {boolean} [preview] - Include hidden categories and the Uncategorized section
+     * @returns {Object} - {key: {title, description, anchor, cover, visible}} in sort order
+     */
+    function parseCategories(config, preview) {
+        const categories = {};
+
+        Object.keys(config || {})
+            .map((key, position) => ({ key: key.toLowerCase(), position: position, entry: config[key] || {} }))
+            .filter(category => preview || category.entry.visible !== false)
+            .sort((a, b) => {
+                const sortA = typeof a.entry.sort === 'number' ? a.entry.sort : Infinity;
+                const sortB = typeof b.entry.sort === 'number' ? b.entry.sort : Infinity;
+                return sortA === sortB ? a.position - b.position : (sortA < sortB ? -1 : 1);
+            })
+            .forEach(category => {
+                const entry = category.entry;
+                categories[category.key] = {
+                    title: entry.title || category.key,
+                    description: entry.description || '',
+                    anchor: entry.anchor || slugify(category.key),
+                    cover: entry.cover || '',
+                    visible: entry.visible !== false
+                };
+            });
+
+        if (preview) {
+            categories[UNCATEGORIZED] = Object.assign({}, UNCATEGORIZED_CATEGORY);
+        }
+
+        return categories;
+    }
+
+    /**
+     * Find the section a photo category is shown in
+     * @param {string} category - Category parsed from the filename
+     * @param {Object} categories - Result of parseCategories
+     * @returns {string|null} - Section key, or null when the photo is not shown
+     */
+    function sectionFor(category, categories) {
+        if (categories[category]) {
+            return category;
+        }
+        return categories[UNCATEGORIZED] ? UNCATEGORIZED : null;
+    }
+
+    /**
+     * Collect the photos of each paper, leaving out photos of hidden sections
+     * @param {Array} images - List of image filenames
+     * @param {Object} metadata - Sidecar metadata keyed by filename
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @param {Object} categories - Sections from parseCategories()
+     * @returns {Object} - Parsed items keyed by paper id, in gallery order
+     */
+    function groupByPaper(images, metadata, assets, categories) {
+        const papers = {};
+        images.forEach(filename => {
+            const parsed = parseFilename(filename, metadata, assets);
+            if (!parsed || !parsed.paper || !sectionFor(parsed.category, categories)) return;
+            (papers[parsed.paper] = papers[parsed.paper] || []).push(parsed);
+        });
+        return papers;
+    }
+
+    /**
+     * Group images by category section; photos of hidden or unknown
+     * categories are left out (or go to Uncategorized in preview mode)
+     * @param {Array} images - List of image filenames
+     * @param {Object} metadata - Sidecar metadata keyed by filename
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @param {Object} categories - Result of parseCategories
+     * @returns {Object} - Images grouped by section key
+     */
+    function groupByCategory(images, metadata, assets, categories) {
+        const grouped = {};
+
+        // Initialize categories
+        Object.keys(categories).forEach(cat => {
+            grouped[cat] = [];
+        });
+
+        // Parse and group
+        images.forEach(filename => {
+            const parsed = parseFilename(filename, metadata, assets);
+            const section = parsed && sectionFor(parsed.category, categories);
+            if (section) {
+                grouped[section].push(parsed);
+            }
+        });
+
+        // Sort each category by order
+        Object.keys(grouped).forEach(cat => {
+            grouped[cat].sort((a, b) => a.order - b.order);
+        });
+
+        return grouped;
+    }
+
+    /**
+     * Compare two dateInfo objects chronologically (day-less dates first)
+     * @param {Object} a - dateInfo
+     * @param {Object} b - dateInfo
+     * @returns {number} - Negative if a is earlier
+     */
+    function compareDates(a, b) {
+        return (a.year - b.year) || (a.month - b.month) || ((a.day || 0) - (b.day || 0));
+    }
+
+    /**
+     * Replace the photos of each album with one album card, placed where the
+     * album's first photo was. Albums are per category; an album key shared
+     * by fewer than ALBUM_MIN_PHOTOS photos leaves them as single items.
+     * @param {Array} items - Parsed image items in display order
+     * @returns {Array} - Items and {isAlbum, title, slug, category, items, cover, dateInfo} cards
+     */
+    function collapseAlbums(items) {
+        const members = {};
+        items.forEach(item => {
+            if (item.album) {
+                const key = item.category + '/' + item.album;
+                (members[key] = members[key] || []).push(item);
+            }
+        });
+
+        const cards = [];
+        const placed = {};
+        items.forEach(item => {
+            const key = item.category + '/' + item.album;
+            if (!item.album || members[key].length < ALBUM_MIN_PHOTOS) {
+                cards.push(item);
+                return;
+            }
+            if (placed[key]) return;
+            placed[key] = true;
+
+            const albumItems = members[key];
+            const dates = albumItems.filter(member => member.dateInfo).map(member => member.dateInfo);
+            cards.push({
+                isAlbum: true,
+                title: item.album,
+                slug: slugify(item.category + '-' + item.album),
+                category: item.category,
+                items: albumItems,
+                cover: albumItems[0],
+                // The album sits at its earliest dated photo on the timeline
+                dateInfo: dates.length > 0 ? dates.sort(compareDates)[0] : null
+            });
+        });
+
+        return cards;
+    }
+
+    // Month names for timeline
+    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const MONTH_LONG_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+        'August', 'September', 'October', 'November', 'December'];
+    const MONTH_MAP = {
+        'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
+        'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
+    };
+
+    // Seasons map to the month they start in (academic "Winter" is the January term)
+    const SEASON_MONTHS = { spring: 2, summer: 5, fall: 8, autumn: 8, winter: 0 };
+
+    // Key for photos without a date in groupByYearMonth
+    const UNDATED = 'undated';
+
+    // Month words ("Aug", "August", "Sept") and the description date patterns, most specific first
+    const MONTH_WORD = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+    const DATE_PATTERNS = [
+        // 2025-08-14, 2025-08, or a range starting with one (2025-08-14 to 2025-08-16)
+        { regex: /\b(\d{4})-(\d{2})(?:-(\d{2}))?\b/, parse: m => ({ year: m[1], month: parseInt(m[2], 10) - 1, day: m[3] }) },
+        // Dec 12, 2024 / Dec 10-15, 2024 / Dec 10 2024
+        { regex: new RegExp('\\b' + MONTH_WORD + '\\s+(\\d{1,2})(?:\\s*[-–]\\s*\\d{1,2})?,?\\s+(\\d{4})\\b', 'i'), parse: m => ({ year: m[3], month: monthIndex(m[1]), day: m[2] }) },
+        // Aug-Sep 2025 (placed at the first month)
+        { regex: new RegExp('\\b' + MONTH_WORD + '\\s*[-–]\\s*' + MONTH_WORD + '\\s+(\\d{4})\\b', 'i'), parse: m => ({ year: m[3], month: monthIndex(m[1]) }) },
+        // Aug 2024
+        { regex: new RegExp('\\b' + MONTH_WORD + '\\s+(\\d{4})\\b', 'i'), parse: m => ({ year: m[2], month: monthIndex(m[1]) }) },
+        // Fall 2024
+        { regex: /\b(spring|summer|fall|autumn|winter)\s+(\d{4})\b/i, parse: m => ({ year: m[2], month: SEASON_MONTHS[m[1].toLowerCase()] }) }
+    ];
+
+    /**
+     * Map a month word ("Aug", "August", "Sept.") to its index
+     * @param {string} word - Month word
+     * @returns {number|undefined} - Month index (0-11)
+     */
+    function monthIndex(word) {
+        return MONTH_MAP[word.slice(0, 3).toLowerCase()];
+    }
+
+    /**
+     * Build a dateInfo object, rejecting impossible values such as Feb 30
+     * @param {number|string} year - Four-digit year
+     * @param {number} month - Month index (0-11)
+     * @param {number|string} [day] - Day of month
+     * @param {string} event - Event label to attach
+     * @returns {Object|null} - {year, month, day, monthName, event} or null
+     */
+    function makeDateInfo(year, month, day, event) {
+        if (month === undefined || month < 0 || month > 11) return null;
+
+        const yearNumber = parseInt(year, 10);
+        const dayNumber = day ? parseInt(day, 10) : null;
+        // Day 0 of the next month is the last day of this one
+        const monthLength = new Date(yearNumber, month + 1, 0).getDate();
+        if (dayNumber !== null && (dayNumber < 1 || dayNumber > monthLength)) return null;
+
+        return {
+            year: yearNumber,
+            month: month,
+            day: dayNumber,
+            monthName: MONTH_NAMES[month],
+            event: event
+        };
+    }
+
+    /**
+     * Parse a date from a description, e.g. "Aug 2024 - First Lab Dinner",
+     * "Retreat 2025-08-14", "Dec 10-15, 2024 - NeurIPS" or "Fall 2024 Picnic".
+     * A leading date followed by " - " is stripped from the event label.
+     * @param {string} description - The image description
+     * @returns {Object|null} - {year, month, day, monthName, event} or null
+     */
+    function parseDateFromDescription(description) {
+        for (let i = 0; i < DATE_PATTERNS.length; i++) {
+            const pattern = DATE_PATTERNS[i];
+            const match = description.match(pattern.regex);
+            if (!match) continue;
+
+            const parts = pattern.parse(match);
+            const rest = description.slice(match.index + match[0].length);
+            const leading = match.index === 0 && /^\s*-\s*\S/.test(rest);
+            const event = leading ? rest.replace(/^\s*-\s*/, '').trim() : description;
+
+            const dateInfo = makeDateInfo(parts.year, parts.month, parts.day, event);
+            if (dateInfo) return dateInfo;
+        }
+        return null;
+    }
+
+    /**
+     * Parse an ISO date from metadata.json or EXIF ("2024-12" or "2024-12-06")
+     * @param {string} value - ISO date
+     * @param {string} event - Event label to attach
+     * @returns {Object|null} - {year, month, day, monthName, event} or null
+     */
+    function parseIsoDate(value, event) {
+        const match = String(value).match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/);
+        if (!match) return null;
+
+        return makeDateInfo(match[1], parseInt(match[2], 10) - 1, match[3], event);
+    }
+
+    /**
+     * Group images by year and month for timeline; albums count as one entry
+     * (see collapseAlbums) and undated photos are collected under the UNDATED key
+     * @param {Array} images - List of image filenames
+     * @param {Object} metadata - Sidecar metadata keyed by filename
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @param {Object} categories - Result of parseCategories; photos outside it are left out
+     * @returns {Object} - {year: {month: [items]}, undated: [items]}
+     */
+    function groupByYearMonth(images, metadata, assets, categories) {
+        const grouped = {};
+        const parsedItems = images
+            .map(filename => parseFilename(filename, metadata, assets))
+            .filter(parsed => parsed && sectionFor(parsed.category, categories));
+
+        collapseAlbums(parsedItems).forEach(parsed => {
+            const dateInfo = parsed.dateInfo;
+            if (!dateInfo) {
+                (grouped[UNDATED] = grouped[UNDATED] || []).push(parsed);
+                return;
+            }
+
+            const { year, month } = dateInfo;
+
+            if (!grouped[year]) {
+                grouped[year] = {};
+            }
+            if (!grouped[year][month]) {
+                grouped[year][month] = [];
+            }
+
+            grouped[year][month].push(parsed);
+        });
+
+        return grouped;
+    }
+
+    /**
+     * Build the search index from captions, categories, dates and metadata
+     * @param {Array} images - List of image filenames
+     * @param {Object} metadata - Sidecar metadata keyed by filename
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @param {Object} peopleIndex - {filename: [member ids]}
+     * @param {Array} roster - Members from LabRoster.load()
+     * @param {Object} categories - Result of parseCategories
+     * @returns {Object} - {filename: {text, year, category, anchor}}
+     */
+    function buildSearchIndex(images, metadata, assets, peopleIndex, roster, categories) {
+        const index = {};
+        const namesById = {};
+        roster.forEach(member => {
+            namesById[member.id] = member.name;
+        });
+
+        images.forEach(filename => {
+            const parsed = parseFilename(filename, metadata, assets);
+            if (!parsed) return;
+
+            const section = sectionFor(parsed.category, categories);
+            if (!section) return;
+
+            const category = categories[section];
+            const people = (peopleIndex[filename] || []).map(id => namesById[id] || id);
+            const fields = [
+                parsed.description,
+                parsed.longDescription,
+                parsed.event,
+                parsed.location,
+                parsed.credit,
+                parsed.category,
+                category.title,
+                parsed.dateInfo ? parsed.dateInfo.monthName + ' ' + parsed.dateInfo.year : '',
+                parsed.media === 'image' ? '' : 'video'
+            ].concat(people);
+
+            index[filename] = {
+                text: fields.join(' ').toLowerCase(),
+                year: parsed.dateInfo ? String(parsed.dateInfo.year) : '',
+                category: parsed.category,
+                anchor: category.anchor
+            };
+        });
+
+        return index;
+    }
+
+    /**
+     * Parse a gallery search query (see parseSearchQuery in js/markup.js)
+     * @param {string} query - Raw query, e.g. '"hot pot" year:2025 category:lablife'
+     * @returns {Object|null} - {terms, years, categories, unsupported} or null for an empty query
+     */
+    function parseSearchQuery(query) {
+        const search = Markup.parseSearchQuery(query, SEARCH_QUALIFIERS);
+        if (search) {
+            // Unknown qualifiers are searched as plain text
+            search.terms = search.terms.concat(search.unsupported);
+        }
+        return search;
+    }
+
+    /**
+     * Check an indexed photo against a parsed search
+     * @param {Object} entry - {text, year, category, anchor} from the search index
+     * @param {Object} search - Result of parseSearchQuery
+     * @returns {boolean} - True if every term and qualifier matches
+     */
+    function matchesSearch(entry, search) {
+        if (!entry) return false;
+
+        if (search.years.length > 0 && !search.years.includes(entry.year)) {
+            return false;
+        }
+
+        if (search.categories.length > 0) {
+            if (!search.categories.some(cat => cat === entry.category || cat === entry.anchor)) {
+                return false;
+            }
+        }
+
+        return search.terms.every(term => entry.text.includes(term));
+    }
+
+    /**
+     * Aspect ratio of a thumbnail from the manifest, for the justified layout
+     * @param {Object} item - Parsed image info
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @returns {number|null} - Width / height, or null when the size is unknown
+     */
+    function layoutRatio(item, assets) {
+        const asset = assets[item.filename] || {};
+        if (!asset.width || !asset.height) return null;
+        return Math.min(MAX_LAYOUT_RATIO, Math.max(MIN_LAYOUT_RATIO, asset.width / asset.height));
+    }
+
+    /**
+     * Break thumbnails into justified rows (Flickr-style): every full row is
+     * scaled to exactly fill the width, at the height closest to the target,
+     * so each photo keeps its own aspect ratio. The last row keeps the target
+     * height instead of being stretched.
+     * @param {Array} ratios - Width / height of each thumbnail, in order
+     * @param {number} width - Width of the container (px)
+     * @param {number} targetHeight - Preferred row height (px)
+     * @param {number} gap - Space between thumbnails (px)
+     * @returns {Array} - [{height, widths}] per row; widths line up with ratios
+     */
+    function justifyRows(ratios, width, targetHeight, gap) {
+        const rows = [];
+        const rowHeight = (sum, count) => (width - gap * (count - 1)) / sum;
+        let start = 0;
+
+        while (start < ratios.length) {
+            let end = start;
+            let sum = 0;
+            // Grow the row while that brings its height closer to the target
+            while (end < ratios.length) {
+                const height = rowHeight(sum + ratios[end], end - start + 1);
+                if (sum > 0 && Math.abs(height - targetHeight) > Math.abs(rowHeight(sum, end - start) - targetHeight)) {
+                    break;
+                }
+                sum += ratios[end];
+                end++;
+                if (height <= targetHeight) break;
+            }
+
+            const last = end === ratios.length && rowHeight(sum, end - start) > targetHeight;
+            const height = last ? targetHeight : rowHeight(sum, end - start);
+            rows.push({
+                height: height,
+                widths: ratios.slice(start, end).map(ratio => ratio * height)
+            });
+            start = end;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Data attribute carrying a thumbnail's aspect ratio to the layout engine
+     * @param {Object} item - Parsed image info
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @returns {SafeHTML|string} - Attribute markup, or '' when the size is unknown
+     */
+    function generateRatioAttr(item, assets) {
+        const ratio = layoutRatio(item, assets);
+        return ratio ? html` data-ratio="${ratio.toFixed(4)}"` : '';
+    }
+
+    /**
+     * Generate responsive image markup for a thumbnail. Uses the build-time
+     * variants when the manifest lists them and the original otherwise.
+     * @param {Object} item - Parsed image info
+     * @param {string} sizes - Value for the sizes attribute
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @returns {SafeHTML} - Markup (<picture> or <img>)
+     */
+    function generatePictureHTML(item, sizes, assets) {
+        const asset = assets[item.filename] || {};
+        const dimensions = asset.width ? html` width="${asset.width}" height="${asset.height}"` : '';
+        const variants = asset.variants;
+
+        if (!variants) {
+            return html`<img src="${imageURL(item.filename)}" alt="${item.description}" loading="lazy"${dimensions}>`;
+        }
+
+        const srcset = format => variants.widths
+            .map(width => `gallery/${variants.base}-${width}.${format} ${width}w`)
+            .join(', ');
+        // The last format is the JPEG/PNG fallback every browser understands
+        const fallback = variants.formats[variants.formats.length - 1];
+        const sources = variants.formats.slice(0, -1)
+            .map(format => html`<source type="image/${format}" srcset="${srcset(format)}" sizes="${sizes}">`);
+        const defaultWidth = variants.widths.find(width => width >= 800) || variants.widths[variants.widths.length - 1];
+
+        return html`<picture>${sources}<img src="gallery/${variants.base}-${defaultWidth}.${fallback}" srcset="${srcset(fallback)}" sizes="${sizes}" alt="${item.description}" loading="lazy"${dimensions}></picture>`;
+    }
+
+    /**
+     * Generate the thumbnail for any entry: the photo itself, or the poster of
+     * a clip or YouTube talk with a play badge on top
+     * @param {Object} item - Parsed image info
+     * @param {string} sizes - Value for the sizes attribute
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @returns {SafeHTML} - Markup
+     */
+    function generateThumbnailHTML(item, sizes, assets) {
+        if (item.media === 'image') {
+            return generatePictureHTML(item, sizes, assets);
+        }
+
+        const asset = assets[item.filename] || {};
+        const dimensions = asset.width ? html` width="${asset.width}" height="${asset.height}"` : '';
+        let poster;
+        if (item.media === 'youtube') {
+            poster = html`<img src="https://i.ytimg.com/vi/${encodeURIComponent(item.youtube || '')}/mqdefault.jpg" alt="${item.description}" loading="lazy"${dimensions}>`;
+        } else if (asset.poster) {
+            poster = html`<img src="gallery/${asset.poster}" alt="${item.description}" loading="lazy"${dimensions}>`;
+        } else {
+            // No poster extracted yet; never fall back to loading the clip itself
+            poster = html`<span class="gallery-video-placeholder"></span>`;
+        }
+
+        return html`${poster}<span class="gallery-play-badge" aria-label="Play video"><span class="icon-play"></span></span>`;
+    }
+
+    /**
+     * Generate the link attributes that open an item in the lightbox
+     * @param {Object} item - Parsed image info
+     * @param {string} group - Fancybox group name
+     * @returns {SafeHTML} - Attribute markup
+     */
+    function generateLightboxLinkAttrs(item, group) {
+        const source = mediaSource(item);
+        const type = source.type ? html` data-type="${source.type}"` : '';
+        return html`href="${source.src}" data-fancybox="${group}"${type} data-filename="${item.filename}" data-caption="${item.description}"`;
+    }
+
+    /**
+     * Generate the location / photographer line for an item
+     * @param {Object} item - Parsed image info
+     * @returns {SafeHTML} - Markup, empty if the item has neither field
+     */
+    function generateItemMetaHTML(item) {
+        const parts = [];
+        if (item.location) {
+            parts.push(html`<span class="gallery-meta-location"><span class="icon-map-marker"></span> ${item.location}</span>`);
+        }
+        if (item.credit) {
+            parts.push(html`<span class="gallery-meta-credit"><span class="icon-camera"></span> ${item.credit}</span>`);
+        }
+        if (parts.length === 0) {
+            return html``;
+        }
+        return html`<p class="gallery-meta">${parts}</p>`;
+    }
+
+    /**
+     * Format a resolved date for display
+     * @param {Object} dateInfo - {year, month, day}
+     * @returns {string} - e.g. "August 14, 2025" or "August 2025"
+     */
+    function formatDate(dateInfo) {
+        const month = MONTH_LONG_NAMES[dateInfo.month];
+        return dateInfo.day ? `${month} ${dateInfo.day}, ${dateInfo.year}` : `${month} ${dateInfo.year}`;
+    }
+
+    /**
+     * Generate the fancybox caption panel for an item: title, story, date,
+     * category, tagged members linked to their group.html cards, location,
+     * credit, and download / copy link buttons
+     * @param {Object} item - Parsed image info
+     * @param {Object} [details] - {category: {title}, people: [{id, name}], paper: {short, label}} looked up by the page
+     * @returns {SafeHTML} - Markup
+     */
+    function generateLightboxCaptionHTML(item, details) {
+        details = details || {};
+        const longDescription = item.longDescription
+            ? html`<p class="gallery-lightbox-story">${item.longDescription}</p>`
+            : '';
+
+        const facts = [];
+        if (item.dateInfo) {
+            facts.push(html`<span class="gallery-lightbox-date"><span class="icon-calendar" aria-hidden="true"></span> ${formatDate(item.dateInfo)}</span>`);
+        }
+        if (details.category) {
+            facts.push(html`<span class="gallery-lightbox-badge">${details.category.title}</span>`);
+        }
+        if (item.location) {
+            facts.push(html`<span class="gallery-meta-location"><span class="icon-map-marker" aria-hidden="true"></span> ${item.location}</span>`);
+        }
+        if (item.credit) {
+            facts.push(html`<span class="gallery-meta-credit"><span class="icon-camera" aria-hidden="true"></span> Photo: ${item.credit}</span>`);
+        }
+
+        const people = (details.people || []).map(member => html`<a href="group.html#${member.id}">${member.name}</a>`);
+        const peopleHTML = people.length > 0
+            ? html`<p class="gallery-lightbox-people"><span class="icon-users" aria-hidden="true"></span> ${raw(people.join(', '))}</p>`
+            : '';
+
+        // Without the paper list the link still works, labelled with the paper id
+        const paper = details.paper || { short: item.paper, label: '' };
+        const paperHTML = item.paper
+            ? html`<p class="gallery-lightbox-paper"><span class="icon-book" aria-hidden="true"></span> Paper: <a href="publication.html#${item.paper}">${paper.short}${paper.label ? ` (${paper.label})` : ''}</a></p>`
+            : '';
+
+        // YouTube talks have no original file to download
+        const download = item.media === 'youtube'
+            ? ''
+            : html`<a class="gallery-lightbox-action" href="${fullImageURL(item)}" download><span class="icon-download" aria-hidden="true"></span> Download original</a>`;
+
+        return html`
+            <div class="gallery-lightbox-caption" role="group" aria-label="Photo details">
+                <p class="gallery-lightbox-title">${item.description}</p>
+                ${longDescription}
+                ${facts.length > 0 ? html`<p class="gallery-meta">${facts}</p>` : ''}
+                ${peopleHTML}
+                ${paperHTML}
+                <p class="gallery-lightbox-actions">
+                    ${download}
+                    <button type="button" class="gallery-lightbox-action" data-fancybox-copylink title="Copy link"><span class="icon-link" aria-hidden="true"></span> Copy link</button>
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for a single gallery item
+     * @param {Object} item - Parsed image info
+     * @param {string} category - Category key for fancybox grouping
+     * @param {number} index - Item index for staggered animation delay
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateItemHTML(item, category, index, context) {
+        const delay = (index % 4) * 50; // Stagger by column position (0, 50, 100, 150ms)
+        return html`
+            <div class="gallery-item"${generateRatioAttr(item, context.assets)} data-aos="fade-up" data-aos-delay="${delay}" data-aos-duration="300">
+                <a ${generateLightboxLinkAttrs(item, category)}>
+                    ${generateThumbnailHTML(item, GRID_SIZES, context.assets)}
+                </a>
+                <p class="gallery-caption">${highlightMatches(item.description, context.search)}</p>
+                ${generateItemMetaHTML(item)}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate hidden lightbox links for the photos of an album after its cover,
+     * so the cover opens the whole album as one fancybox group
+     * @param {Object} album - Album card from collapseAlbums
+     * @param {string} group - Fancybox group name
+     * @returns {SafeHTML} - Markup
+     */
+    function generateAlbumLinksHTML(album, group) {
+        const links = album.items.slice(1).map(item => html`<a ${generateLightboxLinkAttrs(item, group)}></a>`);
+        return html`<div hidden>${links}</div>`;
+    }
+
+    /**
+     * Generate the photo count badge shown on album covers
+     * @param {Object} album - Album card from collapseAlbums
+     * @returns {SafeHTML} - Markup
+     */
+    function generateAlbumCountHTML(album) {
+        return html`<span class="gallery-album-count"><span class="icon-photo_library"></span> ${album.items.length} photos</span>`;
+    }
+
+    /**
+     * Generate a stacked album card for the grid
+     * @param {Object} album - Album card from collapseAlbums
+     * @param {number} index - Card index for staggered animation delay
+     * @param {string} sectionGroup - Fancybox group of the section the album is in
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateAlbumHTML(album, index, sectionGroup, context) {
+        // Per section: the person view can show the same album under several people
+        const group = sectionGroup + '-album-' + album.slug;
+        const delay = (index % 4) * 50;
+        return html`
+            <div class="gallery-item gallery-album"${generateRatioAttr(album.cover, context.assets)} data-aos="fade-up" data-aos-delay="${delay}" data-aos-duration="300">
+                <a ${generateLightboxLinkAttrs(album.cover, group)}>
+                    ${generateThumbnailHTML(album.cover, GRID_SIZES, context.assets)}
+                    ${generateAlbumCountHTML(album)}
+                </a>
+                ${generateAlbumLinksHTML(album, group)}
+                <p class="gallery-caption">${highlightMatches(album.title, context.search)}</p>
+                ${generateItemMetaHTML(album.cover)}
+            </div>
+        `;
+    }
+
+    /**
+     * Wrap the body of a section so the page can render it later: deferred
+     * content goes in an inert <template> inside a placeholder of about the
+     * right height, which the page fills in when it nears the viewport
+     * @param {SafeHTML|Array} bodyHTML - Section body
+     * @param {boolean} deferred - Defer the body
+     * @param {number} height - Estimated rendered height (px)
+     * @returns {Object} - {attrs, body} for the container element
+     */
+    function generateDeferredHTML(bodyHTML, deferred, height) {
+        if (!deferred) {
+            return { attrs: '', body: bodyHTML };
+        }
+        return {
+            attrs: html` data-lazy style="min-height: ${height}px"`,
+            body: html`<template>${bodyHTML}</template>`
+        };
+    }
+
+    /**
+     * Check whether the section at a position of the view is deferred
+     * @param {number} index - Section position in the view
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {boolean} - True when the body should wait for the viewport
+     */
+    function isDeferred(index, context) {
+        return Boolean(context.view.lazy) && index >= EAGER_SECTIONS;
+    }
+
+    /**
+     * Generate a titled grid of photos and album cards
+     * @param {Object} section - {anchor, title, description, badge}
+     * @param {Array} items - Parsed image items in display order
+     * @param {string} group - Fancybox group of the section's photos
+     * @param {boolean} deferred - Leave the grid for the page to render later
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateGridSectionHTML(section, items, group, deferred, context) {
+        const cards = collapseAlbums(items);
+        const itemsHTML = cards.map((card, index) => card.isAlbum
+            ? generateAlbumHTML(card, index, group, context)
+            : generateItemHTML(card, group, index, context));
+        const grid = generateDeferredHTML(itemsHTML, deferred, Math.ceil(cards.length / 4) * GRID_ROW_HEIGHT);
+        const description = section.description
+            ? html`<p class="gallery-section-desc" data-aos="fade-up" data-aos-duration="300" data-aos-delay="50">${section.description}</p>`
+            : '';
+
+        return html`
+            <div class="row" style="margin-top: 40px;">
+                <div class="col-lg-12" id="${section.anchor}">
+                    <div class="section-title" style="margin-bottom:20px" data-aos="fade-up" data-aos-duration="300">
+                        <h2>${section.title}${section.badge || ''}</h2>
+                    </div>
+                    ${description}
+                    <div class="gallery-grid"${grid.attrs}>
+                        ${grid.body}
+                    </div>
+                    <p class="back-to-top"><a href="#top">Back to Top</a></p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for a category section
+     * @param {string} categoryKey - Category key
+     * @param {Array} items - Parsed image items
+     * @param {boolean} deferred - Leave the grid for the page to render later
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateSectionHTML(categoryKey, items, deferred, context) {
+        const config = context.categories[categoryKey];
+        return generateGridSectionHTML({
+            anchor: config.anchor,
+            title: config.title,
+            description: config.description,
+            badge: config.visible ? '' : html` <span class="gallery-preview-badge">Hidden</span>`
+        }, items, 'category', deferred, context);
+    }
+
+    /**
+     * Generate the small cover image of a quick navigation link, using the
+     * smallest derivative when the manifest lists any
+     * @param {string} filename - Cover photo filename
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @returns {SafeHTML|string} - Markup, or '' without a cover
+     */
+    function generateNavCoverHTML(filename, assets) {
+        if (!filename) return '';
+
+        const variants = (assets[filename] || {}).variants;
+        const src = variants
+            ? `gallery/${variants.base}-${variants.widths[0]}.${variants.formats[variants.formats.length - 1]}`
+            : imageURL(filename);
+        return html`<img class="gallery-nav-cover" src="${src}" alt="" loading="lazy">`;
+    }
+
+    /**
+     * Generate quick navigation links to the sections of the active view
+     * @param {Array} sections - {anchor, title, cover} in display order
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateQuickNav(sections, context) {
+        const links = sections.map(section =>
+            html`<a href="#${section.anchor}">${generateNavCoverHTML(section.cover, context.assets)}${section.title}</a>`);
+
+        return raw(links.join(' | '));
+    }
+
+    /**
+     * Generate the buttons that switch between gallery views
+     * @param {string} activeView - Key of the shown view
+     * @returns {SafeHTML} - Markup
+     */
+    function generateViewSwitcherHTML(activeView) {
+        const buttons = Object.keys(VIEWS).map(key => {
+            const active = key === activeView;
+            return html`<button type="button" class="gallery-view-button${active ? ' active' : ''}" data-view="${key}" aria-pressed="${String(active)}">${VIEWS[key]}</button>`;
+        });
+        return html`<b>View:</b> ${raw(buttons.join(' '))}`;
+    }
+
+    /**
+     * Generate HTML for timeline photo item
+     * @param {Object} item - Parsed image info with dateInfo
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelinePhotoHTML(item, context) {
+        if (item.isAlbum) {
+            return generateTimelineAlbumHTML(item, context);
+        }
+
+        // Use full description instead of just event
+        return html`
+            <div class="timeline-photo">
+                <a ${generateLightboxLinkAttrs(item, 'timeline')}>
+                    ${generateThumbnailHTML(item, TIMELINE_SIZES, context.assets)}
+                </a>
+                <span class="timeline-photo-caption">${highlightMatches(item.description, context.search)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the single timeline entry of an album
+     * @param {Object} album - Album card from collapseAlbums
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineAlbumHTML(album, context) {
+        const group = 'timeline-album-' + album.slug;
+        return html`
+            <div class="timeline-photo timeline-album">
+                <a ${generateLightboxLinkAttrs(album.cover, group)}>
+                    ${generateThumbnailHTML(album.cover, TIMELINE_SIZES, context.assets)}
+                    ${generateAlbumCountHTML(album)}
+                </a>
+                ${generateAlbumLinksHTML(album, group)}
+                <span class="timeline-photo-caption">${highlightMatches(album.title, context.search)}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for one entry (dot + photos) in the timeline
+     * @param {string} label - Label shown next to the dot
+     * @param {Array} items - Items for this entry
+     * @param {number} index - Index for animation delay
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @param {string} [anchor] - Element id the scrubber jumps to
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineEntryHTML(label, items, index, context, anchor) {
+        const photosHTML = items.map(item => generateTimelinePhotoHTML(item, context));
+        const delay = (index % 6) * 30;
+        const id = anchor ? html` id="${anchor}" data-timeline-anchor` : '';
+
+        return html`
+            <div class="timeline-entry"${id} data-aos="fade-up" data-aos-delay="${delay}" data-aos-duration="300">
+                <div class="timeline-month">${label}</div>
+                <div class="timeline-dot"></div>
+                <div class="timeline-content">
+                    <div class="timeline-photos">
+                        ${photosHTML}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for a month entry in timeline
+     * @param {number} year - The year
+     * @param {number} month - Month index (0-11)
+     * @param {Array} items - Items for this month
+     * @param {number} index - Index for animation delay
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineMonthHTML(year, month, items, index, context) {
+        // Day-level dates first by day; month-only dates sort to the start of the month
+        const sortedItems = items.slice().sort((a, b) => (a.dateInfo.day || 0) - (b.dateInfo.day || 0));
+        if (context.view.newestFirst) {
+            sortedItems.reverse();
+        }
+        return generateTimelineEntryHTML(MONTH_NAMES[month], sortedItems, index, context, timelineAnchor(year, month));
+    }
+
+    /**
+     * Element id of a timeline year or month, used by the scrubber
+     * @param {string|number} year - The year, or UNDATED
+     * @param {number} [month] - Month index (0-11)
+     * @returns {string} - e.g. "timeline-2025" or "timeline-2025-08"
+     */
+    function timelineAnchor(year, month) {
+        const suffix = month === undefined ? '' : '-' + String(month + 1).padStart(2, '0');
+        return 'timeline-' + year + suffix;
+    }
+
+    /**
+     * Count the photos of timeline entries, looking inside albums
+     * @param {Array} items - Items and album cards
+     * @returns {number} - Number of photos
+     */
+    function countTimelinePhotos(items) {
+        return items.reduce((total, item) => total + (item.isAlbum ? item.items.length : 1), 0);
+    }
+
+    /**
+     * Generate HTML for a labelled section (a year, or "Undated") in timeline.
+     * The heading toggles the section open and closed.
+     * @param {string|number} key - Year or UNDATED, remembered when collapsed
+     * @param {string|number} label - Section heading
+     * @param {number} count - Photos in the section
+     * @param {Array} entriesHTML - Rendered timeline entries
+     * @param {boolean} deferred - Leave the entries for the page to render later
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineSectionHTML(key, label, count, entriesHTML, deferred, context) {
+        const anchor = timelineAnchor(key);
+        const collapsed = context.view.collapsedYears.includes(String(key));
+        const line = generateDeferredHTML(entriesHTML, deferred, entriesHTML.length * TIMELINE_ENTRY_HEIGHT);
+        return html`
+            <div class="timeline-year-section${collapsed ? ' is-collapsed' : ''}" id="${anchor}" data-timeline-anchor>
+                <button type="button" class="timeline-year" data-timeline-year="${key}" aria-expanded="${String(!collapsed)}" aria-controls="${anchor}-entries" data-aos="fade-up" data-aos-duration="300">
+                    ${label} <span class="timeline-year-count">${count} ${count === 1 ? 'photo' : 'photos'}</span>
+                </button>
+                <div class="timeline-line" id="${anchor}-entries"${collapsed ? raw(' hidden') : ''}${line.attrs}>
+                    ${line.body}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate HTML for a year section in timeline
+     * @param {number} year - The year
+     * @param {Object} months - {month: [items]}
+     * @param {boolean} deferred - Leave the months for the page to render later
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineYearHTML(year, months, deferred, context) {
+        const direction = context.view.newestFirst ? -1 : 1;
+        const sortedMonths = Object.keys(months)
+            .map(m => parseInt(m, 10))
+            .sort((a, b) => (a - b) * direction);
+
+        const monthsHTML = sortedMonths.map((month, index) => generateTimelineMonthHTML(year, month, months[month], index, context));
+        const count = sortedMonths.reduce((total, month) => total + countTimelinePhotos(months[month]), 0);
+
+        return generateTimelineSectionHTML(year, year, count, monthsHTML, deferred, context);
+    }
+
+    /**
+     * Generate the sticky scrubber listing the timeline's years and months
+     * @param {Array} years - Years in display order
+     * @param {Object} grouped - Images grouped by year and month
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineScrubberHTML(years, grouped, context) {
+        const direction = context.view.newestFirst ? -1 : 1;
+        const yearsHTML = years.map(year => {
+            const monthsHTML = Object.keys(grouped[year])
+                .map(m => parseInt(m, 10))
+                .sort((a, b) => (a - b) * direction)
+                .map(month => html`<li><button type="button" class="timeline-scrubber-month" data-timeline-target="${timelineAnchor(year, month)}">${MONTH_NAMES[month]}</button></li>`);
+            return html`
+                <li>
+                    <button type="button" class="timeline-scrubber-year" data-timeline-target="${timelineAnchor(year)}">${year}</button>
+                    <ul>${monthsHTML}</ul>
+                </li>
+            `;
+        });
+
+        const undated = (grouped[UNDATED] || []).length > 0
+            ? html`<li><button type="button" class="timeline-scrubber-year" data-timeline-target="${timelineAnchor(UNDATED)}">Undated</button></li>`
+            : '';
+
+        return html`
+            <nav class="timeline-scrubber" aria-label="Jump to a year or month">
+                <ul>${yearsHTML}${undated}</ul>
+            </nav>
+        `;
+    }
+
+    /**
+     * Generate the newest/oldest first toggle shared by the timeline and year views
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateOrderToggleHTML(context) {
+        const newestFirst = context.view.newestFirst;
+        return html`
+            <button type="button" class="timeline-control" data-timeline-order="${newestFirst ? 'oldest' : 'newest'}" title="Show ${newestFirst ? 'oldest' : 'newest'} photos first">
+                <span class="icon-sort"></span> ${newestFirst ? 'Newest first' : 'Oldest first'}
+            </button>
+        `;
+    }
+
+    /**
+     * Generate the order and expand/collapse controls of the timeline
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineControlsHTML(context) {
+        return html`
+            <div class="timeline-controls">
+                ${generateOrderToggleHTML(context)}
+                <button type="button" class="timeline-control" data-timeline-expand="all">Expand all</button>
+                <button type="button" class="timeline-control" data-timeline-expand="none">Collapse all</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the complete timeline HTML
+     * @param {Object} grouped - Images grouped by year and month
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {SafeHTML} - Markup
+     */
+    function generateTimelineHTML(grouped, context) {
+        const sortedYears = sortedTimelineYears(grouped, context);
+        const undated = grouped[UNDATED] || [];
+
+        if (sortedYears.length === 0 && undated.length === 0) {
+            return html``;
+        }
+
+        const yearsHTML = sortedYears.map((year, index) => generateTimelineYearHTML(year, grouped[year], isDeferred(index, context), context));
+
+        // Undated photos stay at the end in either order
+        if (undated.length > 0) {
+            const entryHTML = [generateTimelineEntryHTML('', undated, 0, context)];
+            const deferred = isDeferred(yearsHTML.length, context);
+            yearsHTML.push(generateTimelineSectionHTML(UNDATED, 'Undated', countTimelinePhotos(undated), entryHTML, deferred, context));
+        }
+
+        return html`
+            <div class="row" style="margin-top: 40px;">
+                <div class="col-lg-12" id="timeline">
+                    <div class="section-title" style="margin-bottom:20px" data-aos="fade-up" data-aos-duration="300">
+                        <h2>Timeline</h2>
+                    </div>
+                    <p class="gallery-section-desc" data-aos="fade-up" data-aos-duration="300" data-aos-delay="50">A chronological journey through our lab's memorable moments.</p>
+                    ${generateTimelineControlsHTML(context)}
+                    <div class="timeline-layout">
+                        ${generateTimelineScrubberHTML(sortedYears, grouped, context)}
+                        <div class="timeline-container">
+                            ${yearsHTML}
+                        </div>
+                    </div>
+                    <p class="back-to-top"><a href="#top">Back to Top</a></p>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the people filter chips
+     * @param {Array} roster - Members from LabRoster.load()
+     * @param {Object} peopleIndex - {filename: [member ids]}
+     * @param {Array} activePeople - Ids of the members being filtered on
+     * @returns {SafeHTML} - Markup, empty if nobody is tagged
+     */
+    function generatePeopleFilterHTML(roster, peopleIndex, activePeople) {
+        const counts = {};
+        Object.keys(peopleIndex).forEach(filename => {
+            peopleIndex[filename].forEach(id => {
+                counts[id] = (counts[id] || 0) + 1;
+            });
+        });
+
+        const chips = roster
+            .filter(member => counts[member.id])
+            .map(member => {
+                const active = activePeople.includes(member.id);
+                return html`<button type="button" class="gallery-person-chip${active ? ' active' : ''}" data-person="${member.id}" aria-pressed="${String(active)}">${member.name} <span class="gallery-person-count">${counts[member.id]}</span></button>`;
+            });
+
+        if (chips.length === 0) {
+            return html``;
+        }
+
+        const clear = activePeople.length > 0
+            ? html`<button type="button" class="gallery-filter-clear" data-person-clear>Show everyone</button>`
+            : '';
+
+        return html`<b>People:</b> ${raw(chips.join(' '))} ${clear}`;
+    }
+
+    /**
+     * Years of the timeline grouping in display order
+     * @param {Object} grouped - Result of groupByYearMonth
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {Array} - Years as numbers, without UNDATED
+     */
+    function sortedTimelineYears(grouped, context) {
+        const direction = context.view.newestFirst ? -1 : 1;
+        return Object.keys(grouped)
+            .filter(key => key !== UNDATED)
+            .map(y => parseInt(y, 10))
+            .sort((a, b) => (a - b) * direction);
+    }
+
+    /**
+     * Render the category sections
+     * @param {Object} grouped - Result of groupByCategory
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {Object} - {sections: [{anchor, title, cover}], content: SafeHTML}
+     */
+    function renderCategoryView(grouped, context) {
+        const keys = Object.keys(context.categories).filter(cat => grouped[cat].length > 0);
+        return {
+            sections: keys.map(cat => context.categories[cat]),
+            content: html`${keys.map((cat, index) => generateSectionHTML(cat, grouped[cat], isDeferred(index, context), context))}`
+        };
+    }
+
+    /**
+     * Render the timeline
+     * @param {Object} grouped - Result of groupByYearMonth
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {Object} - {sections: [{anchor, title}], content: SafeHTML}
+     */
+    function renderTimelineView(grouped, context) {
+        const sections = sortedTimelineYears(grouped, context).map(year => ({ anchor: timelineAnchor(year), title: String(year) }));
+        if ((grouped[UNDATED] || []).length > 0) {
+            sections.push({ anchor: timelineAnchor(UNDATED), title: 'Undated' });
+        }
+        return { sections: sections, content: generateTimelineHTML(grouped, context) };
+    }
+
+    /**
+     * Render one grid section per year, albums included
+     * @param {Object} grouped - Result of groupByYearMonth
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {Object} - {sections: [{anchor, title}], content: SafeHTML}
+     */
+    function renderYearView(grouped, context) {
+        const direction = context.view.newestFirst ? -1 : 1;
+        const sections = sortedTimelineYears(grouped, context).map(year => {
+            const items = [];
+            Object.keys(grouped[year])
+                .map(m => parseInt(m, 10))
+                .sort((a, b) => (a - b) * direction)
+                .forEach(month => {
+                    const monthItems = grouped[year][month].slice().sort((a, b) => ((a.dateInfo.day || 0) - (b.dateInfo.day || 0)) * direction);
+                    items.push(...monthItems);
+                });
+            return { anchor: 'year-' + year, title: String(year), items: items };
+        });
+        if ((grouped[UNDATED] || []).length > 0) {
+            sections.push({ anchor: 'year-' + UNDATED, title: 'Undated', items: grouped[UNDATED] });
+        }
+
+        // Album cards are already collapsed by groupByYearMonth; expand them for the grid
+        const sectionsHTML = sections.map((section, index) => {
+            const items = [].concat(...section.items.map(item => (item.isAlbum ? item.items : [item])));
+            return generateGridSectionHTML(section, items, 'year', isDeferred(index, context), context);
+        });
+
+        return {
+            sections: sections,
+            content: html`<div class="timeline-controls gallery-view-controls">${generateOrderToggleHTML(context)}</div>${sectionsHTML}`
+        };
+    }
+
+    /**
+     * Render one grid section per tagged lab member, in roster order. A photo
+     * shows up under everyone in it, so each person gets their own lightbox group.
+     * @param {Object} grouped - Result of groupByCategory
+     * @param {Object} context - {assets, search, categories, view} from renderGalleryHTML
+     * @returns {Object} - {sections: [{anchor, title}], content: SafeHTML}
+     */
+    function renderPersonView(grouped, context) {
+        const roster = context.view.roster || [];
+        const peopleIndex = context.view.peopleIndex || {};
+        const items = [].concat(...Object.keys(grouped).map(cat => grouped[cat]));
+
+        const sections = roster
+            .map(member => ({
+                anchor: 'person-' + member.id,
+                title: member.name,
+                description: member.section,
+                id: member.id,
+                items: items.filter(item => (peopleIndex[item.filename] || []).includes(member.id))
+            }))
+            .filter(section => section.items.length > 0);
+
+        return {
+            sections: sections,
+            content: html`${sections.map((section, index) => generateGridSectionHTML(section, section.items, 'person-' + section.id, isDeferred(index, context), context))}`
+        };
+    }
+
+    /**
+     * Render the quick navigation and the active view for a list of photos.
+     * The page renders through this, and Node scripts can call it to
+     * pre-render the gallery.
+     * @param {Array} images - Filenames to show, already filtered
+     * @param {Object} metadata - Sidecar metadata keyed by filename
+     * @param {Object} assets - Manifest assets keyed by filename
+     * @param {Object} categories - Sections to render, from parseCategories
+     * @param {Object|null} [search] - Parsed search whose terms are highlighted
+     * @param {Object} [view] - Display state: {mode (a VIEWS key), newestFirst,
+     *     collapsedYears, lazy (defer later sections), roster and peopleIndex
+     *     (needed by the person view)}
+     * @returns {Object} - {items: {filename: item}, nav: SafeHTML, content: SafeHTML}
+     */
+    function renderGalleryHTML(images, metadata, assets, categories, search, view) {
+        const context = {
+            assets: assets,
+            search: search || null,
+            categories: categories,
+            view: Object.assign({ mode: 'category', newestFirst: false, collapsedYears: [], lazy: false }, view)
+        };
+        const grouped = groupByCategory(images, metadata, assets, categories);
+
+        const items = {};
+        Object.keys(grouped).forEach(cat => {
+            grouped[cat].forEach(item => {
+                items[item.filename] = item;
+            });
+        });
+
+        let rendered;
+        if (context.view.mode === 'timeline') {
+            rendered = renderTimelineView(groupByYearMonth(images, metadata, assets, categories), context);
+        } else if (context.view.mode === 'year') {
+            rendered = renderYearView(groupByYearMonth(images, metadata, assets, categories), context);
+        } else if (context.view.mode === 'person') {
+            rendered = renderPersonView(grouped, context);
+        } else {
+            rendered = renderCategoryView(grouped, context);
+        }
+
+        return {
+            items: items,
+            nav: generateQuickNav(rendered.sections, context),
+            content: rendered.content
+        };
+    }
+
+    return {
+        UNCATEGORIZED: UNCATEGORIZED,
+        UNDATED: UNDATED,
+        VIEWS: VIEWS,
+        html: html,
+        raw: raw,
+        escapeHTML: escapeHTML,
+        imageURL: imageURL,
+        fullImageURL: fullImageURL,
+        mediaType: mediaType,
+        mediaSource: mediaSource,
+        slugify: slugify,
+        parseFilename: parseFilename,
+        parseCategories: parseCategories,
+        sectionFor: sectionFor,
+        groupByPaper: groupByPaper,
+        groupByCategory: groupByCategory,
+        collapseAlbums: collapseAlbums,
+        justifyRows: justifyRows,
+        parseDateFromDescription: parseDateFromDescription,
+        parseIsoDate: parseIsoDate,
+        groupByYearMonth: groupByYearMonth,
+        buildSearchIndex: buildSearchIndex,
+        parseSearchQuery: parseSearchQuery,
+        matchesSearch: matchesSearch,
+        highlightMatches: highlightMatches,
+        generateLightboxCaptionHTML: generateLightboxCaptionHTML,
+        generatePeopleFilterHTML: generatePeopleFilterHTML,
+        generateViewSwitcherHTML: generateViewSwitcherHTML,
+        renderGalleryHTML: renderGalleryHTML
+    };
+
+});
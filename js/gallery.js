@@ -1,386 +1,1156 @@
 /**
- * Gallery.js - Dynamic gallery generator based on filename parsing
+ * Gallery.js - Browser renderer for the photo gallery
  *
- * Filename format: category_order_description.jpg
- * Example: conference_01_ICML 2025 Poster Session.jpg
+ * The parsing, grouping, search and markup generation live in the DOM-free
+ * js/gallery-core.js (loaded first, as window.GalleryCore), which also
+ * documents the filename convention and the photo metadata. This file
+ * loads the data, keeps the filters in sync with the URL and wires up the
+ * lightbox, people filter, search box and kiosk mode.
  *
- * Categories:
- * - conference: Conference Moments
- * - activity: Group Activities
- * - lablife: Lab Life
- * - campus: UNC Campus
+ * Sections come from gallery/categories.json. gallery.html?preview=1 also
+ * shows hidden sections and an "Uncategorized" section for photos whose
+ * prefix is not configured, to check new photos before publishing them.
+ *
+ * After adding or renaming photos in gallery/, regenerate the image list with:
+ *   node scripts/build-gallery.js
+ * Add --images to also build the responsive AVIF/WebP variants used by the grid.
+ * Lightboxes open the original file, except for photos kept in
+ * gallery-private/ (blurred or members-only), which open their full-size copy
+ * in gallery/derived/ (see fullImageURL in js/gallery-core.js). The photo
+ * metadata comes with the manifest, which only describes published photos.
+ *
+ * People are lab member ids from group.html (see js/roster.js). The gallery can
+ * be filtered to one or more members: gallery.html?person=pingzhi-li,xinyu-zhao
+ *
+ * The search box matches captions, categories, years and metadata. It supports
+ * "quoted phrases" and year:2025 / category:lablife qualifiers, and keeps the
+ * query in the URL hash: gallery.html#q=hot%20pot%20year%3A2025
+ *
+ * Every photo has a slug derived from its filename (the same one used for
+ * gallery/derived/ files), and gallery.html#photo=<slug> opens it in the
+ * lightbox. The hash follows the lightbox while browsing, the back button
+ * closes it, and the toolbar has a "copy link" button.
+ *
+ * The lightbox caption shows the date, category, tagged members (linked to
+ * their card on group.html#<member-id>), location, credit and the paper being
+ * presented (linked to publication.html#<paper-id>, see js/papers.js), with
+ * buttons to download the original and copy the photo link.
+ *
+ * Only one view is rendered at a time: by category (the default), the
+ * timeline, by person or by year, chosen with the switcher and kept in the
+ * query string: gallery.html?view=timeline. Sections further down the page
+ * are rendered as they approach the viewport, or all at once when the
+ * lightbox opens so it can page through the whole view.
+ *
+ * Grids are laid out in justified rows that keep every photo's aspect ratio
+ * (from the manifest), reflowing when the page width changes. A grid with any
+ * photo of unknown size keeps the plain CSS grid.
+ *
+ * The timeline has a sticky year/month scrubber that follows the scroll
+ * position and jumps on click, collapsible years and a newest/oldest first
+ * toggle.
+ *
+ * Kiosk mode turns the page into a full-screen slideshow for a lounge display:
+ *   gallery.html?kiosk=1&category=lablife&interval=8&shuffle=1
+ * category, interval (seconds) and shuffle are optional; ?person= and #q=
+ * narrow the photos as usual. Press Escape to leave kiosk mode.
  */
 
 (function() {
     'use strict';
 
-    // Category configuration
-    const CATEGORIES = {
-        conference: {
-            title: 'Conference Moments',
-            description: 'Snapshots from major AI/ML conferences where we present our research and connect with the community.',
-            anchor: 'conferences'
-        },
-        activity: {
-            title: 'Group Activities',
-            description: 'Group meetings, seminars, and academic discussions that foster collaboration and learning.',
-            anchor: 'group-activities'
-        },
-        lablife: {
-            title: 'Lab Life',
-            description: 'Beyond research - celebrations, team building, and the moments that make our lab feel like a family.',
-            anchor: 'lab-life'
-        },
-        campus: {
-            title: 'UNC Chapel Hill Campus',
-            description: 'The beautiful University of North Carolina at Chapel Hill campus - our academic home. Go Tar Heels!',
-            anchor: 'campus'
-        }
+    const {
+        VIEWS,
+        html,
+        escapeHTML,
+        imageURL,
+        fullImageURL,
+        mediaSource,
+        slugify,
+        parseFilename,
+        parseCategories,
+        sectionFor,
+        buildSearchIndex,
+        parseSearchQuery,
+        matchesSearch,
+        generateLightboxCaptionHTML,
+        generatePeopleFilterHTML,
+        generateViewSwitcherHTML,
+        justifyRows,
+        renderGalleryHTML
+    } = window.GalleryCore;
+
+    // Location of the generated image list (see scripts/build-gallery.js)
+    const MANIFEST_URL = 'gallery/manifest.json';
+
+    // Gallery sections keyed by filename prefix (format in js/gallery-core.js)
+    const CATEGORIES_URL = 'gallery/categories.json';
+
+    // Image list - populated from the manifest when the gallery initializes
+    const GALLERY_IMAGES = [];
+
+    // Metadata of the published photos (format in js/gallery-core.js) - populated from the manifest
+    const GALLERY_METADATA = {};
+
+    // Sections shown on the page, in display order - populated from CATEGORIES_URL
+    const CATEGORIES = {};
+
+    // Build-time image info ({width, height, variants}) keyed by filename, from the manifest
+    const GALLERY_ASSETS = {};
+
+    // Rendered items by filename, used to build lightbox captions
+    const ITEMS_BY_FILENAME = {};
+
+    // Lab roster from group.html - populated when the gallery initializes
+    const ROSTER = [];
+
+    // Papers from data/publications.json keyed by id - populated when the gallery initializes
+    const PAPERS = {};
+
+    // Member ids in each photo (metadata tags plus caption mentions), keyed by filename
+    const PEOPLE_BY_FILENAME = {};
+
+    // Searchable text for each photo, keyed by filename
+    const SEARCH_INDEX = {};
+
+    // Filenames keyed by photo slug, for #photo= deep links
+    const FILENAMES_BY_SLUG = {};
+
+    // Lightbox history bookkeeping: whether the open lightbox pushed a history
+    // entry, and whether it is being closed by the back button
+    const LIGHTBOX = {
+        pushedHistory: false,
+        closingFromHistory: false
     };
 
-    // Image list - this will be populated by scanning the gallery folder
-    // For GitHub Pages, we need to maintain this list manually or use a build script
-    const GALLERY_IMAGES = [
-        // Conference photos
-        'conference_01_NeurIPS 2024 - Xinyu, Pingzhi with Prof Ang Li and Students.jpg',
-        'conference_02_NeurIPS 2024 - Xinyu, Sukwon, Pingzhi with Prof Xia Hu.jpg',
-        'conference_03_NeurIPS 2024 - Xinyu, Pingzhi, Sukwon with Prof Ying Ding and Yuli Wang.jpg',
-        'conference_04_Dec 2024 - Pingzhi, Xinyu Presenting Model GLUE at NeurIPS 2024.jpg',
-        'conference_05_Dec 2025 - Pingzhi Presenting Mozart at NeurIPS 2025.jpg',
-        'conference_06_Dec 2025 - Huaizhi Presenting BetaConform at NeurIPS 2025.jpeg',
-        // Activity photos
-        'activity_01_Feb 2025 - Prof Chen Presenting C2R Paper.jpg',
-        // Lab Life photos
-        'lablife_01_Aug 2024 - First PhD Cohort at Welcome Ceremony.jpg',
-        'lablife_02_Aug 2024 - First Lab Lunch, Texas Style BBQ.jpg',
-        'lablife_03_Oct 2024 - Matcha Cake for September Birthdays.jpg',
-        'lablife_04_Oct 2024 - Meetup with NCSU Prof Kaixiong Zhou at Mr Tokyo.jpg',
-        'lablife_05_Oct 2024 - Hiking After Meetup.jpg',
-        'lablife_06_Nov 2024 - Lab T-Shirt Design Draft.png',
-        'lablife_07_Jan 2025 - Lunch at So Hot Pot.jpg',
-        'lablife_08_Apr 2025 - Mango Cake for April Birthdays.jpg',
-        'lablife_09_Apr 2025 - Hotpot Lab Lunch.jpg',
-        'lablife_10_Aug 2025 - Board Games After Lunch.jpg',
-        'lablife_11_Sep 2025 - Dinner with HireEZ CEO at Szechuan Village.jpg',
-        "lablife_12_Sep 2025 - Close Collaborator Zhen Tan's Job Talk Visit.jpg",
-        'lablife_13_Oct 2025 - First Dinner with Zhen Tan and New Students.jpg',
-        'lablife_14_Nov 2025 - Group Meeting Dinner.jpg',
-        'lablife_15_Dec 2025 - Dinner with Collaborators from China.jpg',
-        // Campus photos
-        'campus_01_Old Well - UNC Landmark.jpg',
-        'campus_02_Wilson Library.jpg'
-    ];
-
-    /**
-     * Parse filename to extract category, order, and description
-     * @param {string} filename - The image filename
-     * @returns {Object|null} - Parsed info or null if invalid format
-     */
-    function parseFilename(filename) {
-        // Remove extension
-        const nameWithoutExt = filename.replace(/\.(jpg|jpeg|png|gif|webp)$/i, '');
-
-        // Split by underscore (only first two underscores)
-        const parts = nameWithoutExt.split('_');
-
-        if (parts.length < 3) {
-            console.warn('Invalid filename format:', filename);
-            return null;
-        }
-
-        const category = parts[0].toLowerCase();
-        const order = parseInt(parts[1], 10);
-        const description = parts.slice(2).join('_'); // Rejoin in case description has underscores
-
-        if (!CATEGORIES[category]) {
-            console.warn('Unknown category:', category, 'in file:', filename);
-            return null;
-        }
+    // Fancybox toolbar button that copies the link to the current photo
+    const COPY_LINK_BUTTON =
+        '<button data-fancybox-copylink class="fancybox-button fancybox-button--copylink" title="Copy link">' +
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M3.9 12c0-1.7 1.4-3.1 3.1-3.1h4V7H7a5 5 0 0 0 0 10h4v-1.9H7c-1.7 0-3.1-1.4-3.1-3.1zM8 13h8v-2H8v2zm9-6h-4v1.9h4c1.7 0 3.1 1.4 3.1 3.1s-1.4 3.1-3.1 3.1h-4V17h4a5 5 0 0 0 0-10z"/></svg>' +
+        '</button>';
 
-        return {
-            filename: filename,
-            category: category,
-            order: order,
-            description: description
-        };
-    }
+    // Kiosk slideshow defaults, in seconds
+    const KIOSK_DEFAULT_INTERVAL = 8;
+    const KIOSK_MIN_INTERVAL = 3;
+    // Give up on an image that has not loaded after this long (ms)
+    const KIOSK_LOAD_TIMEOUT = 30000;
+
+    // Kiosk slideshow state, set up by startKiosk()
+    const KIOSK = {
+        options: null,
+        playlist: [],
+        position: 0,
+        failures: 0,
+        front: 0,
+        layers: [],
+        preloaded: null,
+        timer: null,
+        wakeLock: null
+    };
+
+    // Active filters; people are mirrored in the query string, the search in the hash
+    const FILTERS = {
+        people: [],
+        query: '',
+        search: null
+    };
+
+    // Display state kept across re-renders: the active view (mirrored in the
+    // query string), the timeline order and its collapsed years (as strings,
+    // including UNDATED)
+    const VIEW = {
+        mode: 'category',
+        newestFirst: false,
+        collapsedYears: [],
+        scrollFrame: null,
+        observer: null
+    };
+
+    // Start rendering deferred sections this far before they scroll into view
+    const LAZY_ROOT_MARGIN = '600px 0px';
+
+    // Preferred justified row heights (px); narrow screens use the smaller one
+    const ROW_HEIGHT = 220;
+    const NARROW_ROW_HEIGHT = 160;
+    const NARROW_WIDTH = 576;
+
+    // Width each justified grid was last laid out at, so resizes that do not
+    // change it skip the reflow
+    const GRID_WIDTHS = new WeakMap();
+    let resizeFrame = null;
+
+    // Height of the sticky site header, kept clear when jumping within the timeline (px)
+    const TIMELINE_SCROLL_OFFSET = 110;
 
     /**
-     * Group images by category
+     * Build the people index from metadata tags and caption mentions
      * @param {Array} images - List of image filenames
-     * @returns {Object} - Images grouped by category
+     * @param {Object} metadata - Sidecar metadata keyed by filename
+     * @param {Array} roster - Members from LabRoster.load()
+     * @returns {Object} - {filename: [member ids]}
      */
-    function groupByCategory(images) {
-        const grouped = {};
+    function buildPeopleIndex(images, metadata, roster) {
+        const index = {};
+        const rosterIds = roster.map(member => member.id);
 
-        // Initialize categories
-        Object.keys(CATEGORIES).forEach(cat => {
-            grouped[cat] = [];
+        images.forEach(filename => {
+            const parsed = parseFilename(filename, metadata);
+            if (!parsed) return;
+
+            const mentioned = roster.length > 0
+                ? window.LabRoster.findMentions(parsed.description, roster)
+                : [];
+            const people = parsed.people.concat(mentioned)
+                .filter((id, i, all) => all.indexOf(id) === i);
+
+            // Keep roster order so the filter and captions list people consistently
+            index[filename] = people.sort((a, b) => {
+                const ia = rosterIds.indexOf(a);
+                const ib = rosterIds.indexOf(b);
+                return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+            });
         });
 
-        // Parse and group
-        images.forEach(filename => {
-            const parsed = parseFilename(filename);
-            if (parsed) {
-                grouped[parsed.category].push(parsed);
+        return index;
+    }
+
+    /**
+     * Apply the active filters to the image list
+     * @param {Array} images - List of image filenames
+     * @returns {Array} - Filenames that pass every active filter
+     */
+    function filterImages(images) {
+        return images.filter(filename => {
+            if (!isListed(filename)) return false;
+            if (FILTERS.search && !matchesSearch(SEARCH_INDEX[filename], FILTERS.search)) {
+                return false;
             }
+            if (FILTERS.people.length === 0) return true;
+            const people = PEOPLE_BY_FILENAME[filename] || [];
+            return FILTERS.people.some(id => people.includes(id));
         });
+    }
 
-        // Sort each category by order
-        Object.keys(grouped).forEach(cat => {
-            grouped[cat].sort((a, b) => a.order - b.order);
-        });
+    /**
+     * Check whether a photo belongs to one of the sections on the page
+     * @param {string} filename - Image filename
+     * @returns {boolean} - False for hidden categories and, outside preview mode, unknown prefixes
+     */
+    function isListed(filename) {
+        const parsed = parseFilename(filename, GALLERY_METADATA);
+        return Boolean(parsed && sectionFor(parsed.category, CATEGORIES));
+    }
 
-        return grouped;
+    /**
+     * Check whether the page runs in preview mode (?preview=1)
+     * @returns {boolean} - True when hidden and uncategorized photos are shown
+     */
+    function isPreviewMode() {
+        const value = new URLSearchParams(window.location.search).get('preview');
+        return value !== null && value !== '0' && value !== 'false';
     }
 
     /**
-     * Generate HTML for a single gallery item
-     * @param {Object} item - Parsed image info
-     * @param {string} category - Category key for fancybox grouping
-     * @param {number} index - Item index for staggered animation delay
-     * @returns {string} - HTML string
-     */
-    function generateItemHTML(item, category, index) {
-        const imagePath = 'gallery/' + item.filename;
-        const delay = (index % 4) * 50; // Stagger by column position (0, 50, 100, 150ms)
-        return `
-            <div class="gallery-item" data-aos="fade-up" data-aos-delay="${delay}" data-aos-duration="300">
-                <a href="${imagePath}" data-fancybox="${category}" data-caption="${item.description}">
-                    <img src="${imagePath}" alt="${item.description}" loading="lazy">
-                </a>
-                <p class="gallery-caption">${item.description}</p>
-            </div>
-        `;
+     * Read key=value pairs from the URL hash; plain anchors like #campus yield nothing
+     * @returns {URLSearchParams} - Hash parameters
+     */
+    function readHashParams() {
+        const hash = window.location.hash.replace(/^#/, '');
+        return new URLSearchParams(hash.includes('=') ? hash : '');
+    }
+
+    /**
+     * Map photo slugs to filenames
+     * @param {Array} images - List of image filenames
+     * @returns {Object} - {slug: filename}
+     */
+    function buildSlugIndex(images) {
+        const index = {};
+        images.forEach(filename => {
+            index[slugify(filename)] = filename;
+        });
+        return index;
+    }
+
+    /**
+     * Build the current URL with the #photo= parameter set or removed,
+     * keeping the other hash parameters (such as the search query)
+     * @param {string|null} filename - Photo to link to, or null to remove it
+     * @returns {string} - URL path, query and hash
+     */
+    function photoURL(filename) {
+        const params = readHashParams();
+        if (filename) {
+            params.set('photo', slugify(filename));
+        } else {
+            params.delete('photo');
+        }
+        const hash = params.toString();
+        return window.location.pathname + window.location.search + (hash ? '#' + hash : '');
     }
 
     /**
-     * Generate HTML for a category section
-     * @param {string} categoryKey - Category key
-     * @param {Array} items - Parsed image items
-     * @returns {string} - HTML string
+     * Set the search query, mirror it into the URL hash and re-render
+     * @param {string} query - Raw query text
      */
-    function generateSectionHTML(categoryKey, items) {
-        const config = CATEGORIES[categoryKey];
+    function setSearchQuery(query) {
+        FILTERS.query = query;
+        FILTERS.search = parseSearchQuery(query);
 
-        if (items.length === 0) {
-            return ''; // Skip empty categories
+        const params = readHashParams();
+        if (FILTERS.search) {
+            params.set('q', query.trim());
+        } else {
+            params.delete('q');
         }
+        const hash = params.toString();
+        const url = window.location.pathname + window.location.search + (hash ? '#' + hash : '');
+        window.history.replaceState(null, '', url);
 
-        const itemsHTML = items.map((item, index) => generateItemHTML(item, categoryKey, index)).join('');
+        renderGallery();
+    }
 
-        return `
-            <div class="row" style="margin-top: 40px;">
-                <div class="col-lg-12" id="${config.anchor}">
-                    <div class="section-title" style="margin-bottom:20px" data-aos="fade-up" data-aos-duration="300">
-                        <h2>${config.title}</h2>
-                    </div>
-                    <p class="gallery-section-desc" data-aos="fade-up" data-aos-duration="300" data-aos-delay="50">${config.description}</p>
-                    <div class="gallery-grid">
-                        ${itemsHTML}
-                    </div>
-                    <p class="back-to-top"><a href="#top">Back to Top</a></p>
-                </div>
-            </div>
-        `;
+    /**
+     * Handle typing in the search box
+     * @param {Event} event - Input event
+     */
+    function onSearchInput(event) {
+        setSearchQuery(event.target.value);
     }
 
     /**
-     * Generate quick navigation links
-     * @param {Object} grouped - Grouped images
-     * @returns {string} - HTML string
+     * Read the active view and filters from the URL (?view=timeline,
+     * ?person=a,b or ?person=a&person=b, #q=query)
      */
-    function generateQuickNav(grouped) {
-        const links = [];
+    function readFiltersFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const view = (params.get('view') || '').toLowerCase();
+        // Old links to the timeline section open the timeline view
+        VIEW.mode = VIEWS[view] ? view : (window.location.hash === '#timeline' ? 'timeline' : Object.keys(VIEWS)[0]);
 
-        Object.keys(CATEGORIES).forEach(cat => {
-            if (grouped[cat] && grouped[cat].length > 0) {
-                const config = CATEGORIES[cat];
-                links.push(`<a href="#${config.anchor}">${config.title}</a>`);
-            }
+        const ids = [];
+        params.getAll('person').forEach(value => {
+            value.split(',').forEach(id => {
+                id = id.trim().toLowerCase();
+                if (id && !ids.includes(id)) ids.push(id);
+            });
         });
+        FILTERS.people = ids;
 
-        // Add timeline link
-        links.push('<a href="#timeline">Timeline</a>');
+        FILTERS.query = readHashParams().get('q') || '';
+        FILTERS.search = parseSearchQuery(FILTERS.query);
 
-        return links.join(' | ');
+        const searchInput = document.getElementById('gallery-search');
+        if (searchInput) {
+            searchInput.value = FILTERS.query;
+        }
     }
 
-    // Month names for timeline
-    const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const MONTH_MAP = {
-        'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-        'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-    };
+    /**
+     * Mirror the active view and filters into the URL without adding history entries
+     */
+    function writeFiltersToURL() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete('person');
+        if (FILTERS.people.length > 0) {
+            params.set('person', FILTERS.people.join(','));
+        }
+        params.delete('view');
+        if (VIEW.mode !== Object.keys(VIEWS)[0]) {
+            params.set('view', VIEW.mode);
+        }
+        const query = params.toString().replace(/%2C/g, ',');
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Render the people filter into #gallery-people-filter
+     */
+    function renderPeopleFilter() {
+        const filterContainer = document.getElementById('gallery-people-filter');
+        if (!filterContainer) return;
+
+        const markup = generatePeopleFilterHTML(ROSTER, PEOPLE_BY_FILENAME, FILTERS.people).toString();
+        filterContainer.innerHTML = markup;
+        filterContainer.hidden = markup === '';
+    }
+
+    /**
+     * Render the view switcher into #gallery-views
+     */
+    function renderViewSwitcher() {
+        const switcher = document.getElementById('gallery-views');
+        if (!switcher) return;
+
+        switcher.innerHTML = generateViewSwitcherHTML(VIEW.mode).toString();
+        switcher.hidden = false;
+    }
+
+    /**
+     * Handle clicks on the view switcher
+     * @param {Event} event - Click event
+     */
+    function onViewSwitcherClick(event) {
+        const button = event.target.closest('[data-view]');
+        if (!button || button.getAttribute('data-view') === VIEW.mode) return;
+
+        VIEW.mode = button.getAttribute('data-view');
+        writeFiltersToURL();
+        renderViewSwitcher();
+        renderGallery();
+    }
+
+    /**
+     * Handle clicks on the people filter chips
+     * @param {Event} event - Click event
+     */
+    function onPeopleFilterClick(event) {
+        const chip = event.target.closest('[data-person], [data-person-clear]');
+        if (!chip) return;
+
+        if (chip.hasAttribute('data-person-clear')) {
+            FILTERS.people = [];
+        } else {
+            const id = chip.getAttribute('data-person');
+            FILTERS.people = FILTERS.people.includes(id)
+                ? FILTERS.people.filter(other => other !== id)
+                : FILTERS.people.concat(id);
+        }
+
+        writeFiltersToURL();
+        renderPeopleFilter();
+        renderGallery();
+    }
+
+    /**
+     * Fetch the generated image manifest
+     * @returns {Promise<Object>} - Resolves with {images, assets, metadata}
+     */
+    function loadManifest() {
+        return fetch(MANIFEST_URL, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ' loading ' + MANIFEST_URL);
+                }
+                return response.json();
+            })
+            .then(manifest => ({
+                images: manifest.images || [],
+                assets: manifest.assets || {},
+                metadata: manifest.metadata || {}
+            }));
+    }
 
     /**
-     * Parse date from description (e.g., "Aug 2024 - First Lab Dinner")
-     * @param {string} description - The image description
-     * @returns {Object|null} - {year, month, monthName, event} or null
+     * Fetch the category configuration; the page cannot be laid out without it
+     * @returns {Promise<Object>} - Resolves with category settings keyed by prefix
      */
-    function parseDateFromDescription(description) {
-        // Match patterns like "Aug 2024", "Dec 2025", etc.
-        const match = description.match(/^([A-Za-z]{3})\s+(\d{4})\s*-\s*(.+)$/);
-        if (!match) return null;
+    function loadCategories() {
+        return fetch(CATEGORIES_URL, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status + ' loading ' + CATEGORIES_URL);
+                }
+                return response.json();
+            });
+    }
 
-        const monthStr = match[1].toLowerCase();
-        const year = parseInt(match[2], 10);
-        const event = match[3].trim();
-        const month = MONTH_MAP[monthStr];
+    /**
+     * Load the lab roster; the people filter is simply hidden without it
+     * @returns {Promise<Array>} - Resolves with the member list (possibly empty)
+     */
+    function loadRoster() {
+        if (!window.LabRoster) {
+            return Promise.resolve([]);
+        }
+        return window.LabRoster.load().catch(error => {
+            console.warn('Lab roster unavailable:', error);
+            return [];
+        });
+    }
 
-        if (month === undefined) return null;
+    /**
+     * Load the paper list; captions fall back to the paper id without it
+     * @returns {Promise<Object>} - Resolves with papers keyed by id (possibly none)
+     */
+    function loadPapers() {
+        if (!window.LabPapers) {
+            return Promise.resolve({});
+        }
+        return window.LabPapers.load()
+            .then(data => {
+                const byId = {};
+                data.papers.forEach(paper => {
+                    byId[paper.id] = paper;
+                });
+                return byId;
+            })
+            .catch(error => {
+                console.warn('Paper list unavailable:', error);
+                return {};
+            });
+    }
 
+    /**
+     * Look up what the lightbox caption shows beyond the parsed item
+     * @param {Object} item - Parsed image info
+     * @returns {Object} - {category, people, paper} for generateLightboxCaptionHTML
+     */
+    function lightboxCaptionDetails(item) {
+        const section = sectionFor(item.category, CATEGORIES);
+        const people = (PEOPLE_BY_FILENAME[item.filename] || [])
+            .map(id => ROSTER.find(member => member.id === id))
+            .filter(member => member);
         return {
-            year: year,
-            month: month,
-            monthName: MONTH_NAMES[month],
-            event: event
+            category: section ? CATEGORIES[section] : null,
+            people: people,
+            paper: PAPERS[item.paper] || null
         };
     }
 
     /**
-     * Group images by year and month for timeline
-     * @param {Array} images - List of image filenames
-     * @returns {Object} - {year: {month: [items]}}
+     * Fancybox options shared by the gallery links and deep-link opens
+     * @returns {Object} - Fancybox options
      */
-    function groupByYearMonth(images) {
-        const grouped = {};
+    function lightboxOptions() {
+        return {
+            loop: true,
+            hash: false, // #photo= links are handled here instead of fancybox's #group-index
+            buttons: ['zoom', 'copyLink', 'close'],
+            btnTpl: {
+                copyLink: COPY_LINK_BUTTON
+            },
+            caption: function(instance, item) {
+                // Photos opened from a link may be hidden by the filters and so not indexed
+                const filename = item.opts.filename;
+                const parsed = ITEMS_BY_FILENAME[filename] || parseFilename(filename, GALLERY_METADATA, GALLERY_ASSETS);
+                return parsed ? generateLightboxCaptionHTML(parsed, lightboxCaptionDetails(parsed)).toString() : escapeHTML($(this).data('caption') || '');
+            },
+            onInit: function(instance) {
+                instance.$refs.container.on('click', '[data-fancybox-copylink]', event => {
+                    copyPhotoLink(instance.current.opts.filename, event.currentTarget);
+                });
+            },
+            beforeShow: onLightboxShow,
+            afterClose: onLightboxClose
+        };
+    }
 
-        images.forEach(filename => {
-            const parsed = parseFilename(filename);
-            if (!parsed) return;
+    /**
+     * Put the shown photo in the URL: the first photo adds a history entry
+     * (so the back button closes the lightbox), later ones replace it
+     * @param {Object} instance - Fancybox instance
+     * @param {Object} current - Current slide
+     */
+    function onLightboxShow(instance, current) {
+        const url = photoURL(current.opts.filename);
+        if (LIGHTBOX.pushedHistory) {
+            window.history.replaceState(null, '', url);
+        } else {
+            window.history.pushState(null, '', url);
+            LIGHTBOX.pushedHistory = true;
+        }
+    }
+
+    /**
+     * Drop the photo from the URL when the lightbox closes
+     */
+    function onLightboxClose() {
+        if (LIGHTBOX.pushedHistory && !LIGHTBOX.closingFromHistory) {
+            window.history.back();
+        } else {
+            window.history.replaceState(null, '', photoURL(null));
+        }
+        LIGHTBOX.pushedHistory = false;
+        LIGHTBOX.closingFromHistory = false;
+    }
+
+    /**
+     * Copy the permanent link to a photo and acknowledge it on the button
+     * @param {string} filename - Photo filename
+     * @param {Element} button - Copy link button
+     */
+    function copyPhotoLink(filename, button) {
+        const link = window.location.href.replace(/[?#].*$/, '') + '#photo=' + slugify(filename);
+        const acknowledge = () => {
+            button.classList.add('is-copied');
+            button.title = 'Link copied';
+            setTimeout(() => {
+                button.classList.remove('is-copied');
+                button.title = 'Copy link';
+            }, 1500);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(link)
+                .then(acknowledge)
+                .catch(() => window.prompt('Copy this link:', link));
+        } else {
+            window.prompt('Copy this link:', link);
+        }
+    }
+
+    /**
+     * Open the lightbox on the photo named by #photo=<slug>, if any. Photos
+     * hidden by the active filters open on their own.
+     */
+    function openPhotoFromHash() {
+        const slug = readHashParams().get('photo');
+        if (!slug || typeof $.fancybox === 'undefined' || $.fancybox.getInstance()) return;
+
+        // The entry without the photo becomes the one the back button returns to
+        window.history.replaceState(null, '', photoURL(null));
+
+        const filename = FILENAMES_BY_SLUG[slug];
+        if (!filename) {
+            console.warn('No gallery photo matches the link:', slug);
+            return;
+        }
 
-            const dateInfo = parseDateFromDescription(parsed.description);
-            if (!dateInfo) return;
+        renderAllDeferredSections();
+        const link = Array.from(document.querySelectorAll('#gallery-container [data-fancybox]'))
+            .find(element => element.dataset.filename === filename);
+        if (link) {
+            $(link).trigger('click');
+            return;
+        }
+
+        const item = parseFilename(filename, GALLERY_METADATA, GALLERY_ASSETS);
+        const source = item ? mediaSource(item) : { src: imageURL(filename), type: 'image' };
+        $.fancybox.open({
+            src: source.src,
+            type: source.type || undefined,
+            opts: { filename: filename }
+        }, lightboxOptions());
+    }
+
+    /**
+     * Follow back/forward navigation: close the lightbox when the photo leaves
+     * the URL and open it when a photo link comes back
+     */
+    function onPopState() {
+        const instance = typeof $.fancybox !== 'undefined' && $.fancybox.getInstance();
+        if (instance && !readHashParams().get('photo')) {
+            LIGHTBOX.closingFromHistory = true;
+            instance.close();
+        } else if (!instance) {
+            openPhotoFromHash();
+        }
+    }
+
+    /**
+     * Open or close one timeline year section
+     * @param {Element} section - .timeline-year-section element
+     * @param {boolean} collapsed - True to close it
+     */
+    function setTimelineYearCollapsed(section, collapsed) {
+        const toggle = section.querySelector('[data-timeline-year]');
+        const key = toggle.getAttribute('data-timeline-year');
 
-            const { year, month } = dateInfo;
+        section.classList.toggle('is-collapsed', collapsed);
+        section.querySelector('.timeline-line').hidden = collapsed;
+        toggle.setAttribute('aria-expanded', String(!collapsed));
+
+        VIEW.collapsedYears = VIEW.collapsedYears.filter(other => other !== key);
+        if (collapsed) {
+            VIEW.collapsedYears.push(key);
+        }
+    }
+
+    /**
+     * Scroll to a timeline year or month, opening its year if it is collapsed
+     * @param {string} id - Element id from the scrubber
+     */
+    function scrollToTimelineAnchor(id) {
+        if (!document.getElementById(id)) {
+            renderAllDeferredSections(); // months of deferred years are not in the page yet
+        }
+        const target = document.getElementById(id);
+        if (!target) return;
+
+        const section = target.closest('.timeline-year-section');
+        if (section && section.classList.contains('is-collapsed')) {
+            setTimelineYearCollapsed(section, false);
+        }
+
+        const top = target.getBoundingClientRect().top + window.pageYOffset - TIMELINE_SCROLL_OFFSET;
+        window.scrollTo({ top: top, behavior: 'smooth' });
+    }
 
-            if (!grouped[year]) {
-                grouped[year] = {};
+    /**
+     * Highlight the scrubber entries of the year and month at the top of the viewport
+     */
+    function updateTimelineScrubber() {
+        VIEW.scrollFrame = null;
+        const scrubber = document.querySelector('.timeline-scrubber');
+        if (!scrubber) return;
+
+        // The last year and month whose top has scrolled past the header
+        let current = null;
+        let currentYear = null;
+        document.querySelectorAll('#timeline [data-timeline-anchor]').forEach(anchor => {
+            if (anchor.getBoundingClientRect().top > TIMELINE_SCROLL_OFFSET + 10) return;
+            if (anchor.classList.contains('timeline-year-section')) {
+                currentYear = anchor.id;
+                current = anchor.id;
+            } else if (!anchor.closest('.timeline-line').hidden) {
+                current = anchor.id;
             }
-            if (!grouped[year][month]) {
-                grouped[year][month] = [];
+        });
+
+        scrubber.querySelectorAll('[data-timeline-target]').forEach(button => {
+            const target = button.getAttribute('data-timeline-target');
+            const active = target === current || target === currentYear;
+            button.classList.toggle('active', active);
+            if (active) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
             }
+        });
+    }
+
+    /**
+     * Update the scrubber at most once per animation frame while scrolling
+     */
+    function onWindowScroll() {
+        if (VIEW.scrollFrame === null) {
+            VIEW.scrollFrame = window.requestAnimationFrame(updateTimelineScrubber);
+        }
+    }
 
-            grouped[year][month].push({
-                ...parsed,
-                dateInfo: dateInfo
+    /**
+     * Handle clicks on the timeline controls, year headings and scrubber
+     * @param {Event} event - Click event
+     */
+    function onTimelineClick(event) {
+        const control = event.target.closest('[data-timeline-order], [data-timeline-expand], [data-timeline-year], [data-timeline-target]');
+        if (!control) return;
+
+        if (control.hasAttribute('data-timeline-order')) {
+            VIEW.newestFirst = control.getAttribute('data-timeline-order') === 'newest';
+            renderGallery();
+        } else if (control.hasAttribute('data-timeline-expand')) {
+            const collapse = control.getAttribute('data-timeline-expand') === 'none';
+            document.querySelectorAll('#timeline .timeline-year-section').forEach(section => {
+                setTimelineYearCollapsed(section, collapse);
             });
-        });
+            updateTimelineScrubber();
+        } else if (control.hasAttribute('data-timeline-year')) {
+            const section = control.closest('.timeline-year-section');
+            setTimelineYearCollapsed(section, !section.classList.contains('is-collapsed'));
+            updateTimelineScrubber();
+        } else {
+            scrollToTimelineAnchor(control.getAttribute('data-timeline-target'));
+        }
+    }
+
+    /**
+     * Read kiosk mode options from the query string
+     * @returns {Object|null} - {category, interval, shuffle} or null when kiosk mode is off
+     */
+    function readKioskOptions() {
+        const params = new URLSearchParams(window.location.search);
+        if (!['1', 'true'].includes(params.get('kiosk'))) return null;
+
+        let category = (params.get('category') || '').toLowerCase();
+        if (category && !CATEGORIES[category]) {
+            console.warn('Kiosk: unknown category "' + category + '", showing all photos');
+            category = '';
+        }
 
-        return grouped;
+        const interval = parseFloat(params.get('interval'));
+        return {
+            category: category,
+            interval: Math.max(KIOSK_MIN_INTERVAL, isNaN(interval) ? KIOSK_DEFAULT_INTERVAL : interval),
+            shuffle: ['1', 'true'].includes(params.get('shuffle'))
+        };
     }
 
     /**
-     * Generate HTML for timeline photo item
-     * @param {Object} item - Parsed image info with dateInfo
-     * @returns {string} - HTML string
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} list - Array to shuffle
+     * @returns {Array} - The same array
      */
-    function generateTimelinePhotoHTML(item) {
-        const imagePath = 'gallery/' + item.filename;
-        // Use full description instead of just event
-        return `
-            <div class="timeline-photo">
-                <a href="${imagePath}" data-fancybox="timeline" data-caption="${item.description}">
-                    <img src="${imagePath}" alt="${item.description}" loading="lazy">
-                </a>
-                <span class="timeline-photo-caption">${item.description}</span>
-            </div>
-        `;
+    function shuffleInPlace(list) {
+        for (let i = list.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [list[i], list[j]] = [list[j], list[i]];
+        }
+        return list;
     }
 
     /**
-     * Generate HTML for a month entry in timeline
-     * @param {number} month - Month index (0-11)
-     * @param {Array} items - Items for this month
-     * @param {number} index - Index for animation delay
-     * @returns {string} - HTML string
+     * Photos for the slideshow: the filtered gallery, optionally one category.
+     * Clips and talks are left out.
+     * @param {Object} options - Kiosk options
+     * @returns {Array} - Filenames in play order
      */
-    function generateTimelineMonthHTML(month, items, index) {
-        const monthName = MONTH_NAMES[month];
-        const photosHTML = items.map(item => generateTimelinePhotoHTML(item)).join('');
-        const delay = (index % 6) * 30;
+    function buildKioskPlaylist(options) {
+        const playlist = filterImages(GALLERY_IMAGES).filter(filename => {
+            const parsed = parseFilename(filename, GALLERY_METADATA, GALLERY_ASSETS);
+            return parsed && parsed.media === 'image' &&
+                (!options.category || parsed.category === options.category);
+        });
+        return options.shuffle ? shuffleInPlace(playlist) : playlist;
+    }
 
-        return `
-            <div class="timeline-entry" data-aos="fade-up" data-aos-delay="${delay}" data-aos-duration="300">
-                <div class="timeline-month">${monthName}</div>
-                <div class="timeline-dot"></div>
-                <div class="timeline-content">
-                    <div class="timeline-photos">
-                        ${photosHTML}
-                    </div>
-                </div>
+    /**
+     * Generate the kiosk stage: two slide layers to crossfade between, plus the clock
+     * @returns {SafeHTML} - Markup
+     */
+    function generateKioskHTML() {
+        const layer = html`
+            <figure class="gallery-kiosk-slide">
+                <img alt="">
+                <figcaption class="gallery-kiosk-caption"></figcaption>
+            </figure>
+        `;
+        return html`
+            ${layer}${layer}
+            <div class="gallery-kiosk-clock">
+                <div class="gallery-kiosk-time"></div>
+                <div class="gallery-kiosk-date"></div>
             </div>
         `;
     }
 
     /**
-     * Generate HTML for a year section in timeline
-     * @param {number} year - The year
-     * @param {Object} months - {month: [items]}
-     * @returns {string} - HTML string
+     * Generate the large slideshow caption for an item
+     * @param {Object} item - Parsed image info
+     * @returns {SafeHTML} - Markup
      */
-    function generateTimelineYearHTML(year, months) {
-        // Sort months in ascending order (Jan to Dec)
-        const sortedMonths = Object.keys(months)
-            .map(m => parseInt(m, 10))
-            .sort((a, b) => a - b);
+    function generateKioskCaptionHTML(item) {
+        const details = [];
+        if (item.dateInfo) {
+            details.push(`${item.dateInfo.monthName} ${item.dateInfo.year}`);
+        }
+        if (item.location) {
+            details.push(item.location);
+        }
+        const detailsHTML = details.length > 0
+            ? html`<p class="gallery-kiosk-details">${details.join(' · ')}</p>`
+            : '';
+        return html`<p class="gallery-kiosk-title">${item.description}</p>${detailsHTML}`;
+    }
 
-        let monthsHTML = '';
-        sortedMonths.forEach((month, index) => {
-            monthsHTML += generateTimelineMonthHTML(month, months[month], index);
+    /**
+     * URL the kiosk shows for a photo (the blurred copy of photos with blur regions)
+     * @param {string} filename - Photo filename
+     * @returns {string} - Image URL
+     */
+    function kioskImageURL(filename) {
+        const item = parseFilename(filename, GALLERY_METADATA, GALLERY_ASSETS);
+        return item ? fullImageURL(item) : imageURL(filename);
+    }
+
+    /**
+     * Load an image in the background
+     * @param {string} filename - Photo filename
+     * @returns {Promise} - Resolves when the image is ready, rejects on error or timeout
+     */
+    function preloadKioskImage(filename) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            const timeout = setTimeout(() => reject(new Error('timed out')), KIOSK_LOAD_TIMEOUT);
+            image.onload = () => {
+                clearTimeout(timeout);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('failed to load'));
+            };
+            image.src = kioskImageURL(filename);
         });
+    }
 
-        return `
-            <div class="timeline-year-section">
-                <div class="timeline-year" data-aos="fade-up" data-aos-duration="300">${year}</div>
-                <div class="timeline-line">
-                    ${monthsHTML}
-                </div>
-            </div>
-        `;
+    /**
+     * Crossfade to a loaded photo
+     * @param {string} filename - Photo filename
+     */
+    function showKioskSlide(filename) {
+        const item = parseFilename(filename, GALLERY_METADATA, GALLERY_ASSETS);
+        const back = KIOSK.layers[1 - KIOSK.front];
+        const front = KIOSK.layers[KIOSK.front];
+
+        back.querySelector('img').src = kioskImageURL(filename);
+        back.querySelector('img').alt = item ? item.description : '';
+        back.querySelector('.gallery-kiosk-caption').innerHTML = item ? generateKioskCaptionHTML(item).toString() : '';
+
+        back.classList.add('is-active');
+        front.classList.remove('is-active');
+        KIOSK.front = 1 - KIOSK.front;
+    }
+
+    /**
+     * Show the next photo and schedule the one after. Photos that fail to load
+     * are skipped; if a whole round fails (e.g. the network is down) the
+     * slideshow waits one interval and tries again.
+     */
+    function advanceKiosk() {
+        const playlist = KIOSK.playlist;
+        const interval = KIOSK.options.interval * 1000;
+
+        if (KIOSK.position >= playlist.length) {
+            KIOSK.position = 0;
+            if (KIOSK.options.shuffle) shuffleInPlace(playlist);
+        }
+
+        const filename = playlist[KIOSK.position++];
+        const loading = KIOSK.preloaded && KIOSK.preloaded.filename === filename
+            ? KIOSK.preloaded.promise
+            : preloadKioskImage(filename);
+
+        loading
+            .then(() => {
+                KIOSK.failures = 0;
+                showKioskSlide(filename);
+
+                // Warm the cache for the next photo while this one is on screen
+                const next = playlist[KIOSK.position % playlist.length];
+                KIOSK.preloaded = { filename: next, promise: preloadKioskImage(next) };
+                KIOSK.preloaded.promise.catch(() => {}); // reported when it is shown
+
+                KIOSK.timer = setTimeout(advanceKiosk, interval);
+            })
+            .catch(error => {
+                console.warn('Kiosk: skipping "' + filename + '" (' + error.message + ')');
+                KIOSK.preloaded = null;
+                KIOSK.failures++;
+
+                let delay = 0;
+                if (KIOSK.failures >= playlist.length) {
+                    KIOSK.failures = 0;
+                    delay = interval;
+                }
+                KIOSK.timer = setTimeout(advanceKiosk, delay);
+            });
+    }
+
+    /**
+     * Update the clock/date overlay
+     */
+    function updateKioskClock() {
+        const now = new Date();
+        document.querySelector('.gallery-kiosk-time').textContent =
+            now.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        document.querySelector('.gallery-kiosk-date').textContent =
+            now.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' });
+    }
+
+    /**
+     * Keep the screen awake where the Screen Wake Lock API is available. The
+     * browser drops the lock when the page is hidden, so it is requested
+     * again whenever the page becomes visible.
+     */
+    function requestWakeLock() {
+        if (!('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+
+        navigator.wakeLock.request('screen')
+            .then(lock => {
+                KIOSK.wakeLock = lock;
+            })
+            .catch(error => {
+                console.warn('Kiosk: screen wake lock unavailable:', error.message);
+            });
     }
 
     /**
-     * Generate the complete timeline HTML
-     * @param {Object} grouped - Images grouped by year and month
-     * @returns {string} - HTML string
+     * Leave kiosk mode by reloading the page without the kiosk parameters
      */
-    function generateTimelineHTML(grouped) {
-        // Sort years in ascending order (earlier first)
-        const sortedYears = Object.keys(grouped)
-            .map(y => parseInt(y, 10))
-            .sort((a, b) => a - b);
+    function exitKiosk() {
+        const params = new URLSearchParams(window.location.search);
+        ['kiosk', 'category', 'interval', 'shuffle'].forEach(name => params.delete(name));
+        const query = params.toString().replace(/%2C/g, ',');
+        window.location.href = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+    }
 
-        if (sortedYears.length === 0) {
-            return '';
+    /**
+     * Replace the page with the full-screen slideshow
+     * @param {Object} options - Kiosk options from readKioskOptions()
+     */
+    function startKiosk(options) {
+        // A refresh keeps the running slideshow and only picks up new photos
+        if (KIOSK.options) {
+            KIOSK.options = options;
+            KIOSK.playlist = buildKioskPlaylist(options);
+            return;
         }
 
-        let yearsHTML = '';
-        sortedYears.forEach(year => {
-            yearsHTML += generateTimelineYearHTML(year, grouped[year]);
+        const stage = document.createElement('div');
+        stage.className = 'gallery-kiosk-stage';
+        stage.innerHTML = generateKioskHTML().toString();
+        document.body.appendChild(stage);
+        document.body.classList.add('gallery-kiosk');
+
+        KIOSK.options = options;
+        KIOSK.playlist = buildKioskPlaylist(options);
+        KIOSK.layers = Array.from(stage.querySelectorAll('.gallery-kiosk-slide'));
+
+        updateKioskClock();
+        setInterval(updateKioskClock, 10000);
+
+        requestWakeLock();
+        document.addEventListener('visibilitychange', requestWakeLock);
+
+        // Browsers only allow full screen after a user gesture
+        stage.addEventListener('click', () => {
+            if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+                document.documentElement.requestFullscreen().catch(() => {});
+            }
+        });
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && !document.fullscreenElement) exitKiosk();
         });
 
-        return `
-            <div class="row" style="margin-top: 40px;">
-                <div class="col-lg-12" id="timeline">
-                    <div class="section-title" style="margin-bottom:20px" data-aos="fade-up" data-aos-duration="300">
-                        <h2>Timeline</h2>
-                    </div>
-                    <p class="gallery-section-desc" data-aos="fade-up" data-aos-duration="300" data-aos-delay="50">A chronological journey through our lab's memorable moments.</p>
-                    <div class="timeline-container">
-                        ${yearsHTML}
-                    </div>
-                    <p class="back-to-top"><a href="#top">Back to Top</a></p>
-                </div>
-            </div>
-        `;
+        if (KIOSK.playlist.length === 0) {
+            stage.insertAdjacentHTML('beforeend', '<p class="gallery-kiosk-empty">No photos match the kiosk settings.</p>');
+            return;
+        }
+        advanceKiosk();
     }
 
     /**
-     * Initialize the gallery
+     * Lay out one grid in justified rows, or fall back to the CSS grid when a
+     * photo's size is unknown. Only sizes change, so images are not reloaded.
+     * @param {Element} grid - .gallery-grid element
+     * @param {boolean} [force] - Reflow even if the width has not changed
      */
-    function initGallery() {
+    function layoutGrid(grid, force) {
+        const items = Array.from(grid.children).filter(child => child.classList.contains('gallery-item'));
+        const ratios = items.map(item => parseFloat(item.getAttribute('data-ratio')));
+        const width = grid.clientWidth;
+
+        if (items.length === 0 || ratios.some(isNaN) || width === 0) {
+            grid.classList.remove('is-justified');
+            items.forEach(item => {
+                item.style.width = '';
+                item.style.removeProperty('--row-height');
+            });
+            GRID_WIDTHS.delete(grid);
+            return;
+        }
+        if (!force && GRID_WIDTHS.get(grid) === width) return;
+
+        const gap = parseFloat(window.getComputedStyle(grid).columnGap) || 0;
+        const targetHeight = width < NARROW_WIDTH ? NARROW_ROW_HEIGHT : ROW_HEIGHT;
+        // Lose a pixel so rounding in the browser never wraps a full row
+        const rows = justifyRows(ratios, width - 1, targetHeight, gap);
+
+        let index = 0;
+        rows.forEach(row => {
+            row.widths.forEach(itemWidth => {
+                items[index].style.width = itemWidth.toFixed(2) + 'px';
+                items[index].style.setProperty('--row-height', row.height.toFixed(2) + 'px');
+                index++;
+            });
+        });
+        grid.classList.add('is-justified');
+        GRID_WIDTHS.set(grid, width);
+    }
+
+    /**
+     * Lay out every rendered grid of the page
+     * @param {boolean} [force] - Reflow even grids whose width has not changed
+     */
+    function layoutGrids(force) {
+        resizeFrame = null;
+        document.querySelectorAll('#gallery-container .gallery-grid:not([data-lazy])').forEach(grid => layoutGrid(grid, force));
+    }
+
+    /**
+     * Reflow the grids at most once per animation frame while resizing
+     */
+    function onWindowResize() {
+        if (resizeFrame === null) {
+            resizeFrame = window.requestAnimationFrame(() => layoutGrids(false));
+        }
+    }
+
+    /**
+     * Bind the lightbox to every photo link currently in the page
+     */
+    function bindLightbox() {
+        if (typeof $.fancybox !== 'undefined') {
+            $('#gallery-container [data-fancybox]').fancybox(lightboxOptions());
+        }
+    }
+
+    /**
+     * Render a section body that was deferred in a <template>
+     * @param {Element} container - Element marked with data-lazy
+     */
+    function renderDeferredSection(container) {
+        const template = Array.from(container.children).find(child => child.tagName === 'TEMPLATE');
+        if (template) {
+            container.replaceChild(template.content, template);
+        }
+        container.removeAttribute('data-lazy');
+        container.style.minHeight = '';
+        if (VIEW.observer) {
+            VIEW.observer.unobserve(container);
+        }
+        if (container.classList.contains('gallery-grid')) {
+            layoutGrid(container, true);
+        }
+    }
+
+    /**
+     * Render every deferred section, e.g. before the lightbox collects its group
+     */
+    function renderAllDeferredSections() {
+        const pending = document.querySelectorAll('#gallery-container [data-lazy]');
+        if (pending.length === 0) return;
+
+        pending.forEach(renderDeferredSection);
+        bindLightbox();
+        if (typeof AOS !== 'undefined') {
+            AOS.refresh();
+        }
+    }
+
+    /**
+     * Render deferred sections as they approach the viewport
+     */
+    function observeDeferredSections() {
+        if (VIEW.observer) {
+            VIEW.observer.disconnect();
+            VIEW.observer = null;
+        }
+        if (!('IntersectionObserver' in window)) {
+            renderAllDeferredSections();
+            return;
+        }
+
+        VIEW.observer = new IntersectionObserver(entries => {
+            const near = entries.filter(entry => entry.isIntersecting);
+            if (near.length === 0) return;
+
+            near.forEach(entry => renderDeferredSection(entry.target));
+            bindLightbox();
+            if (typeof AOS !== 'undefined') {
+                AOS.refresh();
+            }
+        }, { rootMargin: LAZY_ROOT_MARGIN });
+        document.querySelectorAll('#gallery-container [data-lazy]').forEach(container => VIEW.observer.observe(container));
+    }
+
+    /**
+     * Open the full view before a photo link's lightbox collects its group
+     * @param {Event} event - Click event, seen in the capture phase
+     */
+    function onPhotoLinkCapture(event) {
+        if (event.target.closest('[data-fancybox]')) {
+            renderAllDeferredSections();
+        }
+    }
+
+    /**
+     * Render the gallery from the current GALLERY_IMAGES list and active filters
+     */
+    function renderGallery() {
         const container = document.getElementById('gallery-container');
         const navContainer = document.getElementById('gallery-nav');
 
@@ -389,49 +1159,137 @@
             return;
         }
 
-        // Group images by category
-        const grouped = groupByCategory(GALLERY_IMAGES);
+        const images = filterImages(GALLERY_IMAGES);
+        const rendered = renderGalleryHTML(images, GALLERY_METADATA, GALLERY_ASSETS, CATEGORIES, FILTERS.search, {
+            mode: VIEW.mode,
+            newestFirst: VIEW.newestFirst,
+            collapsedYears: VIEW.collapsedYears,
+            lazy: true,
+            roster: ROSTER,
+            peopleIndex: PEOPLE_BY_FILENAME
+        });
+        const content = rendered.content.toString();
 
-        // Group images by year/month for timeline
-        const timelineGrouped = groupByYearMonth(GALLERY_IMAGES);
+        // Index items for lightbox captions
+        replaceContents(ITEMS_BY_FILENAME, rendered.items);
 
         // Generate navigation
         if (navContainer) {
-            navContainer.innerHTML = generateQuickNav(grouped);
+            navContainer.innerHTML = rendered.nav.toString();
         }
 
-        // Generate category sections
-        let sectionsHTML = '';
-        Object.keys(CATEGORIES).forEach(cat => {
-            sectionsHTML += generateSectionHTML(cat, grouped[cat]);
-        });
+        // The person view can be empty even when photos match, if nobody in them is tagged
+        container.innerHTML = content.trim() === ''
+            ? '<div class="text-center py-5"><p>No photos match the current search and filters.</p></div>'
+            : content;
+        updateTimelineScrubber();
 
-        // Generate timeline section
-        sectionsHTML += generateTimelineHTML(timelineGrouped);
+        layoutGrids(true);
+        bindLightbox();
+        observeDeferredSections();
 
-        container.innerHTML = sectionsHTML;
+        // Refresh AOS after dynamic content is loaded
+        if (typeof AOS !== 'undefined') {
+            AOS.refresh();
+        }
+    }
 
-        // Initialize fancybox if available
-        if (typeof $.fancybox !== 'undefined') {
-            $('[data-fancybox]').fancybox({
-                loop: true,
-                buttons: ['zoom', 'close'],
-                caption: function(instance, item) {
-                    return $(this).data('caption') || '';
+    /**
+     * Replace the contents of a shared array/object in place, so references
+     * handed out through window.GalleryModule stay valid
+     * @param {Array|Object} target - Array or object to update
+     * @param {Array|Object} source - New contents
+     */
+    function replaceContents(target, source) {
+        if (Array.isArray(target)) {
+            target.length = 0;
+            Array.prototype.push.apply(target, source);
+            return;
+        }
+        Object.keys(target).forEach(key => delete target[key]);
+        Object.assign(target, source);
+    }
+
+    /**
+     * Initialize the gallery: load the manifest, then render
+     * @returns {Promise} - Resolves once the gallery has been rendered
+     */
+    function initGallery() {
+        return Promise.all([loadManifest(), loadCategories(), loadRoster(), loadPapers()])
+            .then(([manifest, categories, roster, papers]) => {
+                replaceContents(GALLERY_IMAGES, manifest.images);
+                replaceContents(GALLERY_ASSETS, manifest.assets);
+                replaceContents(GALLERY_METADATA, manifest.metadata);
+                replaceContents(CATEGORIES, parseCategories(categories, isPreviewMode()));
+                replaceContents(ROSTER, roster);
+                replaceContents(PAPERS, papers);
+
+                // Photos of hidden sections get no chips, search hits or deep links
+                const listed = GALLERY_IMAGES.filter(isListed);
+                replaceContents(PEOPLE_BY_FILENAME, buildPeopleIndex(listed, GALLERY_METADATA, ROSTER));
+                replaceContents(SEARCH_INDEX, buildSearchIndex(listed, GALLERY_METADATA, GALLERY_ASSETS, PEOPLE_BY_FILENAME, ROSTER, CATEGORIES));
+                replaceContents(FILENAMES_BY_SLUG, buildSlugIndex(listed));
+
+                readFiltersFromURL();
+
+                const kiosk = readKioskOptions();
+                if (kiosk) {
+                    startKiosk(kiosk);
+                    return;
+                }
+
+                renderPeopleFilter();
+                renderViewSwitcher();
+                renderGallery();
+                openPhotoFromHash();
+            })
+            .catch(error => {
+                console.error('Failed to load gallery data:', error);
+                const container = document.getElementById('gallery-container');
+                if (container) {
+                    container.innerHTML = '<div class="text-center py-5"><p>Sorry, the gallery could not be loaded.</p></div>';
                 }
             });
+    }
+
+    /**
+     * Bind page-level event handlers once
+     */
+    function bindEvents() {
+        const filterContainer = document.getElementById('gallery-people-filter');
+        if (filterContainer) {
+            filterContainer.addEventListener('click', onPeopleFilterClick);
         }
 
-        // Refresh AOS after dynamic content is loaded
-        if (typeof AOS !== 'undefined') {
-            AOS.refresh();
+        const searchInput = document.getElementById('gallery-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', onSearchInput);
         }
+
+        const viewSwitcher = document.getElementById('gallery-views');
+        if (viewSwitcher) {
+            viewSwitcher.addEventListener('click', onViewSwitcherClick);
+        }
+
+        const container = document.getElementById('gallery-container');
+        if (container) {
+            container.addEventListener('click', onPhotoLinkCapture, true);
+            container.addEventListener('click', onTimelineClick);
+        }
+        window.addEventListener('scroll', onWindowScroll, { passive: true });
+        window.addEventListener('resize', onWindowResize);
+
+        window.addEventListener('popstate', onPopState);
     }
 
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initGallery);
+        document.addEventListener('DOMContentLoaded', () => {
+            bindEvents();
+            initGallery();
+        });
     } else {
+        bindEvents();
         initGallery();
     }
 
@@ -439,7 +1297,16 @@
     window.GalleryModule = {
         CATEGORIES: CATEGORIES,
         GALLERY_IMAGES: GALLERY_IMAGES,
+        GALLERY_METADATA: GALLERY_METADATA,
+        FILTERS: FILTERS,
         parseFilename: parseFilename,
+        getPeople: filename => PEOPLE_BY_FILENAME[filename] || [],
+        search: setSearchQuery,
+        openPhoto: filename => {
+            window.history.replaceState(null, '', photoURL(filename));
+            openPhotoFromHash();
+        },
+        render: renderGallery,
         refresh: initGallery
     };
 
@@ -0,0 +1,163 @@
+/**
+ * markup.js - Escaped HTML templates and search queries shared by the pages
+ *
+ * The html`` template tag escapes every interpolated value, so captions,
+ * titles and filenames can safely contain quotes, "<", "&" or unicode; wrap
+ * trusted markup in raw() to insert it as-is. parseSearchQuery() reads the
+ * search boxes' syntax - words, "quoted phrases" and key:value qualifiers -
+ * and highlightMatches() marks the matched words in a caption or title.
+ *
+ * Nothing here touches the DOM, so the same code runs in the browser
+ * (window.Markup, used by js/gallery-core.js and js/publications.js) and in
+ * Node (require('./js/markup')).
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Markup = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Characters that must be escaped in HTML text and quoted attribute values
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * Markup that html`` inserts without escaping; create it with html`` or raw()
+     * @param {string} markup - Trusted HTML
+     */
+    function SafeHTML(markup) {
+        this.markup = markup;
+    }
+
+    SafeHTML.prototype.toString = function() {
+        return this.markup;
+    };
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute value
+     * @param {*} value - Text to escape (converted to a string)
+     * @returns {string} - Escaped text
+     */
+    function escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    /**
+     * Mark a string of trusted markup as safe to insert unescaped
+     * @param {string} markup - Trusted HTML
+     * @returns {SafeHTML} - Markup html`` will not escape
+     */
+    function raw(markup) {
+        return new SafeHTML(markup);
+    }
+
+    /**
+     * Render one interpolated value: SafeHTML as-is, arrays item by item,
+     * null/undefined/false as nothing and everything else escaped
+     * @param {*} value - Interpolated value
+     * @returns {string} - HTML
+     */
+    function renderHTMLValue(value) {
+        if (value instanceof SafeHTML) return value.markup;
+        if (Array.isArray(value)) return value.map(renderHTMLValue).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHTML(value);
+    }
+
+    /**
+     * Template tag for building markup: html`<p title="${text}">${text}</p>`
+     * escapes both values. Nest html`` results or raw() for trusted markup.
+     * @param {Array} strings - Literal parts of the template
+     * @param {...*} values - Interpolated values
+     * @returns {SafeHTML} - Rendered markup
+     */
+    function html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += renderHTMLValue(value) + strings[index + 1];
+        });
+        return new SafeHTML(markup);
+    }
+
+    /**
+     * Parse a search query into free-text terms and qualifiers
+     * @param {string} query - Raw query, e.g. '"hot pot" year:2025 category:lablife'
+     * @param {Object} qualifiers - Supported qualifiers, each mapped to the
+     *     result list collecting its values, e.g. {year: 'years'}
+     * @returns {Object|null} - {terms, unsupported, ...one list per qualifier},
+     *     or null for an empty query. Qualifiers not in the map are left out
+     *     of the terms and listed in "unsupported" as written, e.g. "category:lablife"
+     */
+    function parseSearchQuery(query, qualifiers) {
+        const search = { terms: [], unsupported: [] };
+        Object.keys(qualifiers).forEach(key => {
+            search[qualifiers[key]] = [];
+        });
+
+        const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const key = (match[1] || match[3] || '').toLowerCase();
+            const value = (match[2] || match[4] || match[5] || match[6] || '').trim().toLowerCase();
+            if (!value) continue;
+
+            if (!key) {
+                search.terms.push(value);
+            } else if (Object.prototype.hasOwnProperty.call(qualifiers, key)) {
+                search[qualifiers[key]].push(value);
+            } else {
+                search.unsupported.push(key + ':' + value);
+            }
+        }
+
+        const empty = Object.keys(search).every(list => search[list].length === 0);
+        return empty ? null : search;
+    }
+
+    /**
+     * Escape a string for use inside a RegExp
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Wrap the search terms in <mark> tags
+     * @param {string} text - Caption text
+     * @param {Object|null} search - Result of parseSearchQuery
+     * @returns {SafeHTML} - Caption with matches highlighted
+     */
+    function highlightMatches(text, search) {
+        if (!search || search.terms.length === 0) {
+            return html`${text}`;
+        }
+
+        // Longest first so a phrase wins over a shorter term inside it
+        const terms = search.terms.slice().sort((a, b) => b.length - a.length);
+        const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+        // Splitting on a capturing pattern puts the matches at the odd indexes
+        return html`${text.split(pattern).map((part, index) => index % 2 === 1 ? html`<mark>${part}</mark>` : part)}`;
+    }
+
+    return {
+        SafeHTML: SafeHTML,
+        html: html,
+        raw: raw,
+        escapeHTML: escapeHTML,
+        parseSearchQuery: parseSearchQuery,
+        highlightMatches: highlightMatches
+    };
+
+});
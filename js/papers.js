@@ -0,0 +1,289 @@
+/**
+ * papers.js - Lab papers read from data/publications.json
+ *
+ * data/publications.json is the single source of truth for the lab's papers:
+ * publication.html renders its topic sections from it (js/publications.js)
+ * and the gallery links photos to papers by id (publication.html#<paper-id>).
+ *
+ * File format:
+ *   {
+ *     "topics": [
+ *       {"id": "efficient-dl", "title": "Efficient Deep Learning & Sparse Neural Networks",
+ *        "nav": "Efficient Deep Learning"}
+ *     ],
+ *     "papers": [
+ *       {
+ *         "id": "c2r",
+ *         "short": "C2R",
+ *         "title": "Advancing MoE Efficiency: A Collaboration-Constrained Routing (C2R) Strategy ...",
+ *         "authors": ["M Zhang*", "P Li*", "J Peng", "M Qiu", "T Chen"],
+ *         "venue": "NAACL",
+ *         "year": 2025,
+ *         "note": "SAC Award",
+ *         "status": "published",
+ *         "topics": ["efficient-dl"],
+ *         "links": {"arxiv": "https://arxiv.org/abs/...", "code": "https://github.com/UNITES-Lab/C2R"},
+ *         "bibtex": "@inproceedings{zhang2025advancing, ...}"
+ *       }
+ *     ]
+ *   }
+ * Topics are listed in page order; "nav" is the shorter Quick Navigation label.
+ * A paper is listed under every topic it names, in file order, so reordering
+ * the papers reorders the sections. "short" defaults to the title before the
+ * colon, "note" (Oral, Findings, an award...) follows the venue tag, "status"
+ * is "published", "accepted" or "preprint", and a trailing * on an author
+ * marks equal contribution. "year", "note" and "links" are optional.
+ * "bibtex" is the entry scripts/import-bibtex.js imported; without it the
+ * Cite button builds one from the record (js/bibtex.js).
+ *
+ * "links" maps the LINK_TYPES below to a URL, or to a list of URLs (two code
+ * repos, say). They show as a row of badges under the entry, in LINK_TYPES
+ * order. "paper", which the BibTeX import fills in, and any other key are
+ * typed by their URL, so an arxiv.org link is an arXiv badge; untyped URLs
+ * show as "Paper". Repos under github.com/UNITES-Lab show their repo name.
+ *
+ * The filter bar of publication.html narrows the list by the FACETS below.
+ * Highlights come from the note (an award, Oral or Spotlight). Lab authors
+ * are the members js/authors.js finds in the author list.
+ */
+
+(function() {
+    'use strict';
+
+    const PAPERS_URL = 'data/publications.json';
+
+    // Facets of the publication filter bar, in display order
+    const FACETS = {
+        year: 'Year',
+        venue: 'Venue',
+        topic: 'Topic',
+        highlight: 'Highlights',
+        author: 'Lab author'
+    };
+
+    // Highlights read from a paper's note
+    const HIGHLIGHTS = [
+        { id: 'award', label: 'Award', pattern: /award|best paper/i },
+        { id: 'oral', label: 'Oral', pattern: /\boral\b/i },
+        { id: 'spotlight', label: 'Spotlight', pattern: /spotlight/i }
+    ];
+
+    // Resource links of a paper in badge order; "hosts" recognize a link by its URL
+    const LINK_TYPES = [
+        { type: 'arxiv', label: 'arXiv', icon: 'icon-file-text-o', hosts: /(^|\.)arxiv\.org$/ },
+        { type: 'pdf', label: 'PDF', icon: 'icon-file-pdf-o' },
+        { type: 'openreview', label: 'OpenReview', icon: 'icon-comments-o', hosts: /(^|\.)openreview\.net$/ },
+        { type: 'paper', label: 'Paper', icon: 'icon-external-link' },
+        { type: 'code', label: 'Code', icon: 'icon-code', hosts: /(^|\.)(github\.com|gitlab\.com)$/ },
+        { type: 'project', label: 'Project page', icon: 'icon-globe' },
+        { type: 'slides', label: 'Slides', icon: 'icon-file-powerpoint-o' },
+        { type: 'poster', label: 'Poster', icon: 'icon-file-image-o' },
+        { type: 'video', label: 'Video', icon: 'icon-youtube-play', hosts: /(^|\.)(youtube\.com|youtu\.be|vimeo\.com|slideslive\.com)$/ }
+    ];
+
+    // The lab's own repos, labeled with the repo name
+    const LAB_REPO_PATTERN = /^https?:\/\/(?:www\.)?github\.com\/UNITES-Lab\/([^/?#\s]+?)(?:\.git)?(?:[/?#].*)?$/i;
+
+    let papersPromise = null;
+
+    /**
+     * Venue tag shown before a title
+     * @param {Object} paper - Paper record
+     * @returns {string} - e.g. "NAACL'25 SAC Award" or "npj Quantum Information"
+     */
+    function venueLabel(paper) {
+        const year = paper.year ? `'${String(paper.year).slice(-2)}` : '';
+        return paper.venue + year + (paper.note ? ' ' + paper.note : '');
+    }
+
+    /**
+     * Fill in the derived fields of every paper
+     * @param {Object} data - Parsed data/publications.json
+     * @returns {Object} - {topics, papers}; papers gain short, label and status defaults
+     */
+    function normalize(data) {
+        const papers = (data.papers || []).map(paper => Object.assign({}, paper, {
+            short: paper.short || paper.title.split(':')[0].trim(),
+            label: venueLabel(paper),
+            status: paper.status || 'published',
+            topics: paper.topics || [],
+            links: paper.links || {}
+        }));
+        return { topics: data.topics || [], papers: papers };
+    }
+
+    /**
+     * Type of a link that was not filed under one of LINK_TYPES
+     * @param {string} url - Link target
+     * @returns {string} - Type from its host or file extension, "paper" otherwise
+     */
+    function linkType(url) {
+        const match = /^(?:https?:)?\/\/([^/?#:]+)/i.exec(url);
+        const host = match ? match[1].toLowerCase() : '';
+        const known = LINK_TYPES.find(option => option.hosts && option.hosts.test(host));
+        if (known) return known.type;
+        return /\.pdf(?:[?#]|$)/i.test(url) ? 'pdf' : 'paper';
+    }
+
+    /**
+     * Resource links of a paper, ready for the badges
+     * @param {Object} paper - Paper record
+     * @returns {Array} - [{type, label, icon, url, repo}] in LINK_TYPES order; repo is the
+     *                    name of a UNITES-Lab repo (also the label), links without a
+     *                    web or relative URL are left out
+     */
+    function resourceLinks(paper) {
+        const links = [];
+        Object.keys(paper.links || {}).forEach(key => {
+            [].concat(paper.links[key]).forEach(url => {
+                url = String(url || '').trim();
+                // Only web links and files on this site, never javascript: and the like
+                if (!url || (/^[a-z][a-z0-9+.-]*:/i.test(url) && !/^https?:/i.test(url))) return;
+                if (links.some(link => link.url === url)) return;
+
+                const filed = key !== 'paper' && LINK_TYPES.some(option => option.type === key);
+                const type = filed ? key : linkType(url);
+                const info = LINK_TYPES.find(option => option.type === type);
+                const repo = LAB_REPO_PATTERN.exec(url);
+                const github = /^https?:\/\/(?:www\.)?github\.com\//i.test(url);
+                links.push({
+                    type: type,
+                    label: repo ? repo[1] : info.label,
+                    icon: github ? 'icon-github' : info.icon,
+                    url: url,
+                    repo: repo ? repo[1] : ''
+                });
+            });
+        });
+        const order = link => LINK_TYPES.findIndex(option => option.type === link.type);
+        return links
+            .map((link, index) => ({ link: link, index: index }))
+            .sort((a, b) => (order(a.link) - order(b.link)) || (a.index - b.index))
+            .map(entry => entry.link);
+    }
+
+    /**
+     * Sort papers newest year first (papers without a year last), keeping file order within a year
+     * @param {Array} papers - Normalized papers
+     * @returns {Array} - Sorted copy
+     */
+    function newestFirst(papers) {
+        return papers
+            .map((paper, index) => ({ paper: paper, index: index }))
+            .sort((a, b) => ((b.paper.year || 0) - (a.paper.year || 0)) || (a.index - b.index))
+            .map(entry => entry.paper);
+    }
+
+    /**
+     * Papers of one topic, in file order
+     * @param {Array} papers - Normalized papers
+     * @param {string} topicId - Topic id
+     * @returns {Array} - Papers listed under the topic
+     */
+    function papersForTopic(papers, topicId) {
+        return papers.filter(paper => paper.topics.includes(topicId));
+    }
+
+    /**
+     * Facet values of a paper
+     * @param {Object} paper - Normalized paper
+     * @param {Array} authorIds - Ids of the lab members among its authors
+     * @returns {Object} - Values keyed by facet, e.g. {year: ["2025"], venue: ["ICML"], ...}
+     */
+    function facetValues(paper, authorIds) {
+        return {
+            year: paper.year ? [String(paper.year)] : [],
+            venue: [paper.venue],
+            topic: paper.topics,
+            highlight: HIGHLIGHTS.filter(highlight => highlight.pattern.test(paper.note || '')).map(highlight => highlight.id),
+            author: authorIds
+        };
+    }
+
+    /**
+     * Check a paper against the active filters: any selected value of a facet
+     * matches, and every facet with a selection must match
+     * @param {Object} facets - From facetValues()
+     * @param {Object} filters - Selected values keyed by facet
+     * @param {string} [ignoredFacet] - Facet to leave out, for its counts
+     * @returns {boolean} - True if the paper passes
+     */
+    function matchesFilters(facets, filters, ignoredFacet) {
+        return Object.keys(FACETS).every(facet => {
+            const selected = filters[facet] || [];
+            return facet === ignoredFacet || selected.length === 0 ||
+                facets[facet].some(value => selected.includes(value));
+        });
+    }
+
+    /**
+     * Check a paper title against a search
+     * @param {Object} paper - Normalized paper
+     * @param {Object|null} search - From Markup.parseSearchQuery() with {year: 'years'}; "year:" qualifiers apply too
+     * @returns {boolean} - True if every term is in the title
+     */
+    function matchesTitle(paper, search) {
+        if (!search) return true;
+        if (search.years.length > 0 && !search.years.includes(String(paper.year))) return false;
+
+        const title = paper.title.toLowerCase();
+        return search.terms.every(term => title.includes(term));
+    }
+
+    /**
+     * Count the papers behind each facet value, as if that value were selected
+     * along with the other facets' filters
+     * @param {Array} entries - [{paper, facets}] that pass the title search
+     * @param {Object} filters - Selected values keyed by facet
+     * @returns {Object} - {facet: {value: count}}
+     */
+    function countFacets(entries, filters) {
+        const counts = {};
+        Object.keys(FACETS).forEach(facet => {
+            counts[facet] = {};
+            entries
+                .filter(entry => matchesFilters(entry.facets, filters, facet))
+                .forEach(entry => {
+                    entry.facets[facet].forEach(value => {
+                        counts[facet][value] = (counts[facet][value] || 0) + 1;
+                    });
+                });
+        });
+        return counts;
+    }
+
+    /**
+     * Load the paper list (fetched once per page)
+     * @returns {Promise<Object>} - Resolves with {topics, papers}
+     */
+    function load() {
+        if (!papersPromise) {
+            papersPromise = fetch(PAPERS_URL, { cache: 'no-cache' })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status + ' loading ' + PAPERS_URL);
+                    }
+                    return response.json();
+                })
+                .then(normalize);
+        }
+        return papersPromise;
+    }
+
+    window.LabPapers = {
+        FACETS: FACETS,
+        HIGHLIGHTS: HIGHLIGHTS,
+        LINK_TYPES: LINK_TYPES,
+        load: load,
+        normalize: normalize,
+        venueLabel: venueLabel,
+        resourceLinks: resourceLinks,
+        newestFirst: newestFirst,
+        papersForTopic: papersForTopic,
+        facetValues: facetValues,
+        matchesFilters: matchesFilters,
+        matchesTitle: matchesTitle,
+        countFacets: countFacets
+    };
+
+})();
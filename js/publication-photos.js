@@ -0,0 +1,164 @@
+/**
+ * publication-photos.js - Camera buttons linking papers to their gallery photos
+ *
+ * Gallery photos name the paper they show in their metadata ("paper": its id
+ * in data/publications.json, see js/gallery-core.js), which the gallery
+ * manifest carries for published photos only. Every entry with
+ * photos gets a camera button that opens them in fancybox (every copy of a
+ * paper listed under several topics gets its own), each with a link
+ * back to the photo in the gallery. Photos of hidden gallery sections are
+ * left out.
+ *
+ * Needs js/markup.js (window.Markup), fancybox and, when the list is rendered
+ * by js/publications.js, that script loaded first; the buttons are added
+ * again whenever it re-renders the list for a filter or search. The gallery
+ * logic in js/gallery-core.js is only loaded once the manifest shows that
+ * some photo names a paper.
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = window.Markup;
+
+    const MANIFEST_URL = 'gallery/manifest.json';
+    const CATEGORIES_URL = 'gallery/categories.json';
+    const GALLERY_CORE_URL = 'js/gallery-core.js';
+
+    // window.GalleryCore, once loadGalleryCore() has it
+    let GalleryCore = null;
+
+    /**
+     * Fetch a gallery data file
+     * @param {string} url - File to fetch
+     * @param {*} fallback - Value to use when the file is missing
+     * @returns {Promise<*>} - Resolves with the parsed JSON
+     */
+    function loadJSON(url, fallback) {
+        return fetch(url, { cache: 'no-cache' })
+            .then(response => (response.ok ? response.json() : fallback));
+    }
+
+    /**
+     * Load js/gallery-core.js unless the page already has it
+     * @returns {Promise<Object>} - Resolves with window.GalleryCore
+     */
+    function loadGalleryCore() {
+        if (window.GalleryCore) {
+            return Promise.resolve(window.GalleryCore);
+        }
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = GALLERY_CORE_URL;
+            script.onload = () => resolve(window.GalleryCore);
+            script.onerror = () => reject(new Error('Could not load ' + GALLERY_CORE_URL));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Generate the lightbox caption for a paper photo
+     * @param {Object} item - Parsed image info
+     * @returns {SafeHTML} - Markup
+     */
+    function generateCaptionHTML(item) {
+        return html`
+            <div class="gallery-lightbox-caption">
+                <p class="gallery-lightbox-title">${item.description}</p>
+                <p class="gallery-lightbox-actions">
+                    <a class="gallery-lightbox-action" href="gallery.html#photo=${GalleryCore.slugify(item.filename)}"><span class="icon-photo_library" aria-hidden="true"></span> View in gallery</a>
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Open a paper's photos in the lightbox
+     * @param {Array} items - Parsed items from groupByPaper()
+     */
+    function openPhotos(items) {
+        $.fancybox.open(items.map(item => {
+            const source = GalleryCore.mediaSource(item);
+            return {
+                src: source.src,
+                type: source.type || undefined,
+                opts: { caption: generateCaptionHTML(item).toString() }
+            };
+        }), {
+            loop: true,
+            buttons: ['zoom', 'close']
+        });
+    }
+
+    /**
+     * Add a camera button to every paper entry that has photos
+     * @param {Object} photosByPaper - Parsed items keyed by paper id
+     */
+    function addPhotoButtons(photosByPaper) {
+        // Entries rendered by js/publications.js carry data-paper-id; static ones only an id
+        const entries = Array.from(document.querySelectorAll('[data-paper-id]'));
+        Object.keys(photosByPaper).forEach(id => {
+            const copies = entries.filter(entry => entry.dataset.paperId === id);
+            if (copies.length === 0 && document.getElementById(id)) {
+                copies.push(document.getElementById(id));
+            }
+            copies.forEach(entry => addPhotoButton(entry, photosByPaper[id]));
+        });
+    }
+
+    /**
+     * Add a camera button to one paper entry, unless it has one
+     * @param {HTMLElement} entry - The paper's <li>
+     * @param {Array} items - Parsed items from groupByPaper()
+     */
+    function addPhotoButton(entry, items) {
+        if (entry.querySelector('.paper-photos-button')) return;
+
+        const label = items.length === 1 ? 'View photo' : `View ${items.length} photos`;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'paper-photos-button';
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.innerHTML = '<span class="icon-camera" aria-hidden="true"></span>';
+        button.addEventListener('click', () => openPhotos(items));
+
+        // Right after the title, before the author line
+        const authors = entry.querySelector('br');
+        entry.insertBefore(button, authors || null);
+    }
+
+    /**
+     * Load the gallery data and decorate the paper entries
+     * @returns {Promise} - Resolves once the buttons are in place
+     */
+    function initPublicationPhotos() {
+        const rendered = window.LabPublications ? window.LabPublications.ready : Promise.resolve();
+        return Promise.all([
+            loadJSON(MANIFEST_URL, { images: [], assets: {}, metadata: {} }),
+            loadJSON(CATEGORIES_URL, {}),
+            rendered
+        ])
+            .then(([manifest, categories]) => {
+                const metadata = manifest.metadata || {};
+                if (!Object.keys(metadata).some(filename => metadata[filename].paper)) return;
+
+                return loadGalleryCore().then(core => {
+                    GalleryCore = core;
+                    const photosByPaper = core.groupByPaper(manifest.images || [], metadata, manifest.assets || {}, core.parseCategories(categories, false));
+                    addPhotoButtons(photosByPaper);
+                    document.addEventListener('publications:render', () => addPhotoButtons(photosByPaper));
+                });
+            })
+            .catch(error => {
+                console.warn('Gallery photos unavailable:', error);
+            });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPublicationPhotos);
+    } else {
+        initPublicationPhotos();
+    }
+
+})();
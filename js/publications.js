@@ -0,0 +1,661 @@
+/**
+ * publications.js - Render the publication list from data/publications.json
+ *
+ * Generates the Quick Navigation and one section per topic (see js/papers.js
+ * for the data format). A paper tagged with several topics is listed under
+ * each of them from its single record. Every entry carries its paper id in
+ * data-paper-id; the first one on the page also gets it as element id, so
+ * publication.html#model-glue links to it, and later copies get
+ * <topic-id>-<paper-id>. Every entry has a Cite button that
+ * shows its BibTeX (see js/bibtex.js) in a popover with a copy button, and a
+ * row of badges for its arXiv page, PDF, code and other links.
+ *
+ * Lab members in the author lists (see js/authors.js) link to their card on
+ * group.html: current members in bold, alumni in italics and the PI in the
+ * accent colour.
+ *
+ * The filter bar narrows the list by year, venue, topic, highlight (award,
+ * oral, spotlight) and lab author. Values of one facet are alternatives,
+ * different facets all have to match, and every chip shows how many papers
+ * it would leave. The search box matches titles ("quoted phrases" and
+ * year:2025 work as in the gallery); other qualifiers, such as the gallery's
+ * category:, are ignored and named under the list summary. The list is
+ * grouped by topic, in the order of data/publications.json, or shown as one
+ * list, newest first. Filters, search and view live in the query string:
+ *   publication.html?venue=ICML,NeurIPS&author=pingzhi-li&q=moe&view=list
+ *
+ * Needs jQuery with Bootstrap's popover, js/markup.js (for the html``
+ * template tag and the search helpers), js/bibtex.js and js/papers.js loaded
+ * first; js/roster.js with js/authors.js is optional and provides the member
+ * links and the lab author facet.
+ * window.LabPublications.ready resolves once the list is on the page, and a
+ * "publications:render" event on document follows every re-render, for
+ * scripts that decorate the entries.
+ */
+
+(function() {
+    'use strict';
+
+    const { html, raw, parseSearchQuery, highlightMatches } = window.Markup;
+    const { citationFor } = window.BibTeX;
+    const {
+        FACETS,
+        HIGHLIGHTS,
+        load,
+        newestFirst,
+        papersForTopic,
+        facetValues,
+        matchesFilters,
+        matchesTitle,
+        countFacets,
+        resourceLinks
+    } = window.LabPapers;
+
+    // Ways to show the list; the first is the default
+    const VIEWS = {
+        topics: 'By topic',
+        list: 'Newest first'
+    };
+
+    // Search qualifiers the title search understands and the parsed lists they fill
+    const SEARCH_QUALIFIERS = { year: 'years' };
+
+    // Heading of the flat list
+    const ALL_PAPERS = { id: 'all-papers', title: 'All Papers' };
+
+    const CITE_POPOVER_TEMPLATE = '<div class="popover paper-cite-popover" role="dialog"><div class="arrow"></div>' +
+        '<h3 class="popover-header"></h3><div class="popover-body"></div></div>';
+
+    // Titles of the member links by role
+    const AUTHOR_ROLES = {
+        pi: 'Principal Investigator',
+        member: 'lab member',
+        alumni: 'former lab member'
+    };
+
+    // Loaded paper list and author registry (js/authors.js)
+    const DATA = { topics: [], papers: [] };
+    const REGISTRY = { people: [], keys: {}, explicit: {}, entries: {} };
+
+    // Papers, their lab authors (one person or null per author) and facet values by paper id
+    const PAPERS_BY_ID = {};
+    const AUTHORS_BY_ID = {};
+    const FACETS_BY_ID = {};
+
+    // Chips of each facet in display order: {facet: [{value, label}]}
+    const FACET_OPTIONS = {};
+
+    // Active view, selected facet values and title search
+    const VIEW = { mode: Object.keys(VIEWS)[0] };
+    const FILTERS = { query: '', search: null };
+    Object.keys(FACETS).forEach(facet => {
+        FILTERS[facet] = [];
+    });
+
+    // Cite button whose popover is open
+    let openCiteButton = null;
+
+    /**
+     * Generate an author list with the lab members linked
+     * @param {Object} paper - Normalized paper
+     * @returns {SafeHTML} - Comma-separated names
+     */
+    function generateAuthorsHTML(paper) {
+        const people = AUTHORS_BY_ID[paper.id] || [];
+        const names = paper.authors.map((author, index) => {
+            const person = people[index];
+            if (!person) {
+                return html`${author}`;
+            }
+            // Equal-contribution stars stay outside the link
+            const name = author.replace(/\*+$/, '');
+            const stars = author.slice(name.length);
+            const title = `${person.name}, ${AUTHOR_ROLES[person.role]}`;
+            const className = `publication-author publication-author--${person.role}`;
+            if (!person.link) {
+                return html`<span class="${className}" title="${title}">${name}</span>${stars}`;
+            }
+            return html`<a class="${className}" href="${person.link}" title="${title}">${name}</a>${stars}`;
+        });
+        return raw(names.join(', '));
+    }
+
+    /**
+     * Generate the badge row of a paper's resource links
+     * @param {Object} paper - Normalized paper
+     * @returns {SafeHTML} - Markup, empty when the paper has no links
+     */
+    function generateLinksHTML(paper) {
+        const links = resourceLinks(paper);
+        if (links.length === 0) {
+            return html``;
+        }
+        const badges = links.map(link => html`<a class="publication-link publication-link--${link.type}" href="${link.url}" target="_blank" rel="noopener"><span class="${link.icon}" aria-hidden="true"></span> ${link.label}</a>`);
+        return html`<br><span class="publication-links">${raw(badges.join(' '))}</span>`;
+    }
+
+    /**
+     * Generate one publication entry
+     * @param {Object} paper - Normalized paper
+     * @param {string} anchor - Element id of the entry
+     * @param {Object|null} search - Active title search, highlighted
+     * @returns {SafeHTML} - <li> markup
+     */
+    function generatePaperHTML(paper, anchor, search) {
+        return html`<li id="${anchor}" data-paper-id="${paper.id}"><b>[${paper.label}]</b> ${highlightMatches(paper.title, search)}
+            <button type="button" class="paper-cite-button" data-paper-cite="${paper.id}" aria-expanded="false">Cite</button><br>
+            <span class="publication-authors">${generateAuthorsHTML(paper)}</span>${generateLinksHTML(paper)}</li>`;
+    }
+
+    /**
+     * Generate the body of a Cite popover
+     * @param {Object} paper - Normalized paper
+     * @returns {SafeHTML} - Markup
+     */
+    function generateCiteHTML(paper) {
+        return html`
+            <pre class="paper-cite-bibtex">${citationFor(paper)}</pre>
+            <button type="button" class="paper-cite-copy" data-paper-cite-copy><span class="icon-content_copy" aria-hidden="true"></span> <span class="paper-cite-copy-label">Copy BibTeX</span></button>
+        `;
+    }
+
+    /**
+     * Generate the section of one topic
+     * @param {Object} topic - {id, title}
+     * @param {Array} papers - Papers listed under the topic
+     * @param {Object|null} search - Active title search
+     * @param {Set} anchored - Ids of the papers already on the page (updated)
+     * @returns {SafeHTML} - Markup, empty when the topic has no papers
+     */
+    function generateTopicHTML(topic, papers, search, anchored) {
+        if (papers.length === 0) {
+            return html``;
+        }
+        // A paper listed under an earlier topic too keeps its plain id there
+        const entries = papers.map(paper => {
+            const anchor = anchored.has(paper.id) ? `${topic.id}-${paper.id}` : paper.id;
+            anchored.add(paper.id);
+            return generatePaperHTML(paper, anchor, search);
+        });
+        return html`
+            <div class="row" style="margin-top: 40px;">
+                <div class="col-lg-12" id="${topic.id}">
+                    <div class="section-title" style="margin-bottom:20px">
+                        <h2>${topic.title}</h2>
+                    </div>
+                    <div class="trend-entry">
+                        <div class="trend-contents">
+                            <ul>
+                                ${entries}
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the Quick Navigation links
+     * @param {Array} topics - Topics that have papers
+     * @returns {SafeHTML} - Markup
+     */
+    function generateQuickNavHTML(topics) {
+        const links = topics.map(topic => html`<a href="#${topic.id}">${topic.nav || topic.title}</a>`);
+        return html`<b>Quick Navigation:</b> ${raw(links.join(' | '))}`;
+    }
+
+    /**
+     * Generate the chips of one facet
+     * @param {string} facet - Key of FACETS
+     * @param {Object} counts - Papers left by each value
+     * @returns {SafeHTML} - Markup, empty when no value is left
+     */
+    function generateFacetHTML(facet, counts) {
+        const chips = FACET_OPTIONS[facet]
+            .filter(option => counts[option.value] || FILTERS[facet].includes(option.value))
+            .map(option => {
+                const active = FILTERS[facet].includes(option.value);
+                return html`<button type="button" class="publication-facet-chip${active ? ' active' : ''}" data-facet="${facet}" data-value="${option.value}" aria-pressed="${String(active)}">${option.label} <span class="publication-facet-count">${counts[option.value] || 0}</span></button>`;
+            });
+
+        if (chips.length === 0) {
+            return html``;
+        }
+        return html`<div class="publication-facet" role="group" aria-label="Filter by ${FACETS[facet].toLowerCase()}"><b>${FACETS[facet]}:</b> ${raw(chips.join(' '))}</div>`;
+    }
+
+    /**
+     * Generate the buttons that switch between the grouped and the flat list
+     * @returns {SafeHTML} - Markup
+     */
+    function generateViewSwitcherHTML() {
+        const buttons = Object.keys(VIEWS).map(key => {
+            const active = key === VIEW.mode;
+            return html`<button type="button" class="publication-view-button${active ? ' active' : ''}" data-view="${key}" aria-pressed="${String(active)}">${VIEWS[key]}</button>`;
+        });
+        return html`<b>View:</b> ${raw(buttons.join(' '))}`;
+    }
+
+    /**
+     * Generate the result count, with a reset button while filtering
+     * @param {number} shown - Papers left
+     * @returns {SafeHTML} - Markup
+     */
+    function generateSummaryHTML(shown) {
+        if (!isFiltering()) {
+            return html`${DATA.papers.length} papers`;
+        }
+        return html`Showing ${shown} of ${DATA.papers.length} papers <button type="button" class="publication-filter-clear" data-filter-clear>Clear filters</button>${generateSearchNoteHTML()}`;
+    }
+
+    /**
+     * Generate the note naming search qualifiers the title search ignored
+     * @returns {SafeHTML} - Markup, empty when every qualifier is supported
+     */
+    function generateSearchNoteHTML() {
+        const unsupported = FILTERS.search ? FILTERS.search.unsupported : [];
+        if (unsupported.length === 0) {
+            return html``;
+        }
+        const supported = Object.keys(SEARCH_QUALIFIERS).map(key => key + ':').join(', ');
+        return html`<span class="publication-search-note">Ignored ${unsupported.join(', ')}: the title search only understands ${supported}</span>`;
+    }
+
+    /**
+     * Whether any facet value or search is active
+     * @returns {boolean} - True while the list is narrowed
+     */
+    function isFiltering() {
+        return Boolean(FILTERS.search) || Object.keys(FACETS).some(facet => FILTERS[facet].length > 0);
+    }
+
+    /**
+     * Index the papers' facet values and order each facet's chips
+     */
+    function indexFacets() {
+        const totals = {};
+        DATA.papers.forEach(paper => {
+            PAPERS_BY_ID[paper.id] = paper;
+            AUTHORS_BY_ID[paper.id] = window.LabAuthors ? window.LabAuthors.resolveAuthors(paper, REGISTRY) : [];
+            const authorIds = AUTHORS_BY_ID[paper.id].filter(Boolean).map(person => person.id);
+            FACETS_BY_ID[paper.id] = facetValues(paper, Array.from(new Set(authorIds)));
+            FACETS_BY_ID[paper.id].venue.forEach(venue => {
+                totals[venue] = (totals[venue] || 0) + 1;
+            });
+        });
+        const present = facet => {
+            const values = new Set();
+            DATA.papers.forEach(paper => FACETS_BY_ID[paper.id][facet].forEach(value => values.add(value)));
+            return values;
+        };
+
+        FACET_OPTIONS.year = Array.from(present('year'))
+            .sort((a, b) => b - a)
+            .map(year => ({ value: year, label: year }));
+        // Most frequent venues first, so the chips do not move while filtering
+        FACET_OPTIONS.venue = Array.from(present('venue'))
+            .sort((a, b) => (totals[b] - totals[a]) || a.localeCompare(b))
+            .map(venue => ({ value: venue, label: venue }));
+        FACET_OPTIONS.topic = DATA.topics
+            .filter(topic => present('topic').has(topic.id))
+            .map(topic => ({ value: topic.id, label: topic.nav || topic.title }));
+        FACET_OPTIONS.highlight = HIGHLIGHTS
+            .filter(highlight => present('highlight').has(highlight.id))
+            .map(highlight => ({ value: highlight.id, label: highlight.label }));
+        FACET_OPTIONS.author = REGISTRY.people
+            .filter(person => present('author').has(person.id))
+            .map(person => ({ value: person.id, label: person.name }));
+    }
+
+    /**
+     * Papers that pass the title search and the facet filters
+     * @param {string} [ignoredFacet] - Facet whose selection is left out
+     * @returns {Array} - Papers in file order
+     */
+    function filterPapers(ignoredFacet) {
+        return DATA.papers.filter(paper => matchesTitle(paper, FILTERS.search) &&
+            matchesFilters(FACETS_BY_ID[paper.id], FILTERS, ignoredFacet));
+    }
+
+    /**
+     * Render the view switcher and the facet chips with their counts
+     */
+    function renderFilters() {
+        const switcher = document.getElementById('publication-views');
+        if (switcher) {
+            switcher.innerHTML = generateViewSwitcherHTML().toString();
+            switcher.hidden = false;
+        }
+
+        const bar = document.getElementById('publication-filters');
+        if (!bar) return;
+
+        const searched = DATA.papers
+            .filter(paper => matchesTitle(paper, FILTERS.search))
+            .map(paper => ({ paper: paper, facets: FACETS_BY_ID[paper.id] }));
+        const counts = countFacets(searched, FILTERS);
+        bar.innerHTML = Object.keys(FACETS).map(facet => generateFacetHTML(facet, counts[facet])).join('');
+        bar.hidden = false;
+    }
+
+    /**
+     * Put the filtered list, the navigation and the result count on the page
+     */
+    function renderPublications() {
+        closeCitation();
+
+        const papers = filterPapers();
+        const sections = VIEW.mode === 'list'
+            ? [{ topic: ALL_PAPERS, papers: newestFirst(papers) }]
+            : DATA.topics.map(topic => ({ topic: topic, papers: papersForTopic(papers, topic.id) }));
+        const shown = sections.filter(section => section.papers.length > 0);
+
+        const nav = document.getElementById('publication-nav');
+        if (nav) {
+            nav.innerHTML = generateQuickNavHTML(shown.map(section => section.topic)).toString();
+            nav.hidden = VIEW.mode === 'list' || shown.length === 0;
+        }
+
+        const summary = document.getElementById('publication-summary');
+        if (summary) {
+            summary.innerHTML = generateSummaryHTML(papers.length).toString();
+        }
+
+        const container = document.getElementById('publication-sections');
+        const anchored = new Set();
+        container.innerHTML = shown.length === 0
+            ? '<div class="text-center py-5"><p>No papers match the current search and filters.</p></div>'
+            : shown.map(section => generateTopicHTML(section.topic, section.papers, FILTERS.search, anchored)).join('');
+
+        document.dispatchEvent(new CustomEvent('publications:render'));
+    }
+
+    /**
+     * Read the view, facet filters and search from the query string
+     * (?year=2025,2024 or ?year=2025&year=2024, ?q=..., ?view=list)
+     */
+    function readFiltersFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        const view = (params.get('view') || '').toLowerCase();
+        VIEW.mode = VIEWS[view] ? view : Object.keys(VIEWS)[0];
+
+        Object.keys(FACETS).forEach(facet => {
+            const values = [];
+            params.getAll(facet).forEach(value => {
+                value.split(',').forEach(item => {
+                    item = item.trim();
+                    if (item && !values.includes(item)) values.push(item);
+                });
+            });
+            FILTERS[facet] = values;
+        });
+
+        FILTERS.query = params.get('q') || '';
+        FILTERS.search = parseSearchQuery(FILTERS.query, SEARCH_QUALIFIERS);
+
+        const searchInput = document.getElementById('publication-search');
+        if (searchInput) {
+            searchInput.value = FILTERS.query;
+        }
+    }
+
+    /**
+     * Mirror the view, filters and search into the query string without adding history entries
+     */
+    function writeFiltersToURL() {
+        const params = new URLSearchParams(window.location.search);
+        Object.keys(FACETS).forEach(facet => {
+            params.delete(facet);
+            if (FILTERS[facet].length > 0) {
+                params.set(facet, FILTERS[facet].join(','));
+            }
+        });
+        params.delete('q');
+        if (FILTERS.search) {
+            params.set('q', FILTERS.query.trim());
+        }
+        params.delete('view');
+        if (VIEW.mode !== Object.keys(VIEWS)[0]) {
+            params.set('view', VIEW.mode);
+        }
+        const query = params.toString().replace(/%2C/g, ',');
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * Apply a change of filters, search or view
+     */
+    function update() {
+        writeFiltersToURL();
+        renderFilters();
+        renderPublications();
+    }
+
+    /**
+     * Handle clicks on the facet chips and the reset button
+     * @param {Event} event - Click event
+     */
+    function onFilterClick(event) {
+        const chip = event.target.closest('[data-facet], [data-filter-clear]');
+        if (!chip) return;
+
+        if (chip.hasAttribute('data-filter-clear')) {
+            Object.keys(FACETS).forEach(facet => {
+                FILTERS[facet] = [];
+            });
+            FILTERS.query = '';
+            FILTERS.search = null;
+            const searchInput = document.getElementById('publication-search');
+            if (searchInput) searchInput.value = '';
+        } else {
+            const facet = chip.getAttribute('data-facet');
+            const value = chip.getAttribute('data-value');
+            FILTERS[facet] = FILTERS[facet].includes(value)
+                ? FILTERS[facet].filter(other => other !== value)
+                : FILTERS[facet].concat(value);
+        }
+        update();
+    }
+
+    /**
+     * Handle clicks on the view switcher
+     * @param {Event} event - Click event
+     */
+    function onViewSwitcherClick(event) {
+        const button = event.target.closest('[data-view]');
+        if (!button || button.getAttribute('data-view') === VIEW.mode) return;
+
+        VIEW.mode = button.getAttribute('data-view');
+        update();
+    }
+
+    /**
+     * Handle typing in the search box
+     * @param {Event} event - Input event
+     */
+    function onSearchInput(event) {
+        FILTERS.query = event.target.value;
+        FILTERS.search = parseSearchQuery(FILTERS.query, SEARCH_QUALIFIERS);
+        update();
+    }
+
+    /**
+     * Close the open Cite popover, if any
+     * @param {boolean} [returnFocus] - Move focus back to its Cite button
+     */
+    function closeCitation(returnFocus) {
+        if (!openCiteButton) return;
+
+        const button = openCiteButton;
+        openCiteButton = null;
+        $(button).popover('dispose');
+        button.setAttribute('aria-expanded', 'false');
+        if (returnFocus) button.focus();
+    }
+
+    /**
+     * Open the BibTeX popover of a Cite button, or close it when it is open
+     * @param {HTMLElement} button - Cite button
+     */
+    function toggleCitation(button) {
+        const wasOpen = button === openCiteButton;
+        closeCitation();
+        const paper = PAPERS_BY_ID[button.dataset.paperCite];
+        if (wasOpen || !paper) return;
+
+        $(button).popover({
+            trigger: 'manual',
+            placement: 'bottom',
+            container: 'body',
+            html: true,
+            title: 'BibTeX',
+            content: generateCiteHTML(paper).toString(),
+            template: CITE_POPOVER_TEMPLATE
+        }).popover('show');
+        button.setAttribute('aria-expanded', 'true');
+        openCiteButton = button;
+
+        const copyButton = $(button).data('bs.popover').getTipElement().querySelector('[data-paper-cite-copy]');
+        if (copyButton) copyButton.focus();
+    }
+
+    /**
+     * Copy the BibTeX of the open popover
+     * @param {HTMLElement} copyButton - Copy button inside the popover
+     */
+    function copyCitation(copyButton) {
+        const popover = copyButton.closest('.paper-cite-popover');
+        const bibtex = popover.querySelector('.paper-cite-bibtex');
+        const label = copyButton.querySelector('.paper-cite-copy-label');
+        const acknowledge = message => {
+            copyButton.classList.add('is-copied');
+            label.textContent = message;
+            setTimeout(() => {
+                copyButton.classList.remove('is-copied');
+                label.textContent = 'Copy BibTeX';
+            }, 1500);
+        };
+        // Without clipboard access, select the text so Ctrl+C copies it
+        const selectText = () => {
+            const range = document.createRange();
+            range.selectNodeContents(bibtex);
+            window.getSelection().removeAllRanges();
+            window.getSelection().addRange(range);
+            label.textContent = 'Selected, press Ctrl+C';
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(bibtex.textContent)
+                .then(() => acknowledge('Copied'))
+                .catch(selectText);
+        } else {
+            selectText();
+        }
+    }
+
+    /**
+     * Wire up the Cite buttons and their popovers
+     */
+    function bindCiteButtons() {
+        document.addEventListener('click', event => {
+            const citeButton = event.target.closest('[data-paper-cite]');
+            const copyButton = event.target.closest('[data-paper-cite-copy]');
+            if (citeButton) {
+                toggleCitation(citeButton);
+            } else if (copyButton) {
+                copyCitation(copyButton);
+            } else if (!event.target.closest('.paper-cite-popover')) {
+                closeCitation();
+            }
+        });
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') closeCitation(true);
+        });
+    }
+
+    /**
+     * Bind the filter bar, view switcher and search box once
+     */
+    function bindFilters() {
+        const bar = document.getElementById('publication-filters');
+        const summary = document.getElementById('publication-summary');
+        [bar, summary].forEach(element => {
+            if (element) element.addEventListener('click', onFilterClick);
+        });
+
+        const switcher = document.getElementById('publication-views');
+        if (switcher) {
+            switcher.addEventListener('click', onViewSwitcherClick);
+        }
+
+        const searchInput = document.getElementById('publication-search');
+        if (searchInput) {
+            searchInput.addEventListener('input', onSearchInput);
+        }
+    }
+
+    /**
+     * Load the author registry; without it no name is linked and the lab
+     * author facet is simply left out
+     * @returns {Promise<Object>} - Resolves with the registry (possibly empty)
+     */
+    function loadAuthors() {
+        const empty = { people: [], keys: {}, explicit: {}, entries: {} };
+        if (!window.LabRoster || !window.LabAuthors) {
+            return Promise.resolve(empty);
+        }
+        return window.LabAuthors.load().catch(error => {
+            console.warn('Lab roster unavailable:', error);
+            return empty;
+        });
+    }
+
+    /**
+     * Load and render the publication list
+     * @returns {Promise} - Resolves once the list is on the page
+     */
+    function initPublications() {
+        bindFilters();
+        return Promise.all([load(), loadAuthors()])
+            .then(([data, registry]) => {
+                DATA.topics = data.topics;
+                DATA.papers = data.papers;
+                Object.assign(REGISTRY, registry);
+                indexFacets();
+
+                readFiltersFromURL();
+                renderFilters();
+                renderPublications();
+
+                // The entries did not exist when the browser looked for the #anchor
+                if (window.location.hash) {
+                    const target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+                    if (target) target.scrollIntoView();
+                }
+            })
+            .catch(error => {
+                console.error('Failed to load publications:', error);
+                const container = document.getElementById('publication-sections');
+                if (container) {
+                    container.innerHTML = '<div class="text-center py-5"><p>Sorry, the publication list could not be loaded.</p></div>';
+                }
+            });
+    }
+
+    bindCiteButtons();
+
+    const ready = new Promise(resolve => {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => resolve(initPublications()));
+        } else {
+            resolve(initPublications());
+        }
+    });
+
+    window.LabPublications = {
+        ready: ready
+    };
+
+})();
@@ -0,0 +1,178 @@
+/**
+ * roster.js - Lab member roster read from group.html
+ *
+ * group.html is the single source of truth for who is in the lab. This module
+ * fetches it, reads every .member-card and exposes the members to other pages.
+ *
+ * Member ids come from the card photo filename: groups/pingzhi-li.jpg -> pingzhi-li
+ *
+ * Cards give the time in the lab as "(Aug. 2024 - )"; a card whose end month
+ * has passed, like "(Aug. 2024 - Dec. 2025)", belongs to a former member. The
+ * years of that period are kept as "since" and "until". The card under
+ * "Principal Investigator" is the PI.
+ */
+
+(function() {
+    'use strict';
+
+    const ROSTER_URL = 'group.html';
+
+    const PI_SECTION = 'Principal Investigator';
+
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    let rosterPromise = null;
+
+    /**
+     * Derive a member id from a card photo path
+     * @param {string} src - Photo path (e.g. "groups/pingzhi-li.jpg")
+     * @returns {string} - Member id or empty string
+     */
+    function idFromPhoto(src) {
+        const match = (src || '').match(/([^/]+)\.(jpg|jpeg|png|gif|webp)$/i);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Check whether a card's time in the lab is over
+     * @param {string} text - Card text, e.g. "(Aug. 2024 - Dec. 2025) B.E., ..."
+     * @param {Date} now - Current date
+     * @returns {boolean} - True if the period has an end month before now
+     */
+    function hasLeft(text, now) {
+        const match = text.match(/\([^()]*?-\s*([A-Za-z]{3})[a-z]*\.?\s+(\d{4})\s*\)/);
+        if (!match) return false;
+
+        const month = MONTHS.indexOf(match[1].toLowerCase());
+        // Members stay current until the end month is over
+        return month !== -1 && new Date(Number(match[2]), month + 1, 1) <= now;
+    }
+
+    /**
+     * Read the years of a card's time in the lab
+     * @param {string} text - Card text, e.g. "(Aug. 2024 - Dec. 2025) B.E., ..."
+     * @returns {Object} - {since, until}, e.g. {since: 2024, until: 2025}; null
+     *                     where the card gives no year (the PI, current members)
+     */
+    function tenure(text) {
+        const match = text.match(/\(\s*(?:[A-Za-z]{3}[a-z]*\.?\s+)?(\d{4})\s*-\s*(?:(?:[A-Za-z]{3}[a-z]*\.?\s+)?(\d{4}))?\s*\)/);
+        return {
+            since: match ? Number(match[1]) : null,
+            until: match && match[2] ? Number(match[2]) : null
+        };
+    }
+
+    /**
+     * Extract members from a parsed group.html document
+     * @param {Document} doc - Parsed group page
+     * @returns {Array} - [{id, name, url, photo, section, pi, alumni, since, until}] in page order
+     */
+    function parseRoster(doc) {
+        const members = [];
+        const seen = {};
+        const now = new Date();
+
+        doc.querySelectorAll('.member-card').forEach(card => {
+            const img = card.querySelector('img.member-photo');
+            const heading = card.querySelector('.member-info h4');
+            if (!img || !heading) return;
+
+            const id = idFromPhoto(img.getAttribute('src'));
+            // The same person can appear in two sections (e.g. M.S. then Ph.D.); keep the first
+            if (!id || seen[id]) return;
+            seen[id] = true;
+
+            const link = heading.querySelector('a');
+            const sectionTitle = card.closest('.col-lg-12') &&
+                card.closest('.col-lg-12').querySelector('.section-title h2');
+
+            const section = sectionTitle ? sectionTitle.textContent.trim() : '';
+            const details = card.querySelector('.member-info p');
+            const period = tenure(details ? details.textContent : '');
+
+            members.push({
+                id: id,
+                name: heading.textContent.trim(),
+                url: link ? link.getAttribute('href') : '',
+                photo: img.getAttribute('src'),
+                section: section,
+                pi: section === PI_SECTION,
+                alumni: details ? hasLeft(details.textContent, now) : false,
+                since: period.since,
+                until: period.until
+            });
+        });
+
+        return members;
+    }
+
+    /**
+     * Load the roster (fetched once per page)
+     * @returns {Promise<Array>} - Resolves with the member list
+     */
+    function load() {
+        if (!rosterPromise) {
+            rosterPromise = fetch(ROSTER_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status + ' loading ' + ROSTER_URL);
+                    }
+                    return response.text();
+                })
+                .then(html => parseRoster(new DOMParser().parseFromString(html, 'text/html')));
+        }
+        return rosterPromise;
+    }
+
+    /**
+     * Escape a string for use inside a RegExp
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Find roster members mentioned in free text such as a photo caption.
+     * Full names always match. A first name matches when no other member shares
+     * it and it is not directly followed by a capitalized word other than the
+     * member's own surname, so "Zhen Tan" does not match Zhen Xu. Captions such
+     * as "Pingzhi Presenting ..." are therefore missed; tag those in metadata.
+     * @param {string} text - Text to search
+     * @param {Array} members - Roster from load()
+     * @returns {Array} - Ids of mentioned members
+     */
+    function findMentions(text, members) {
+        const firstNameCounts = {};
+        members.forEach(member => {
+            const first = member.name.split(/\s+/)[0].toLowerCase();
+            firstNameCounts[first] = (firstNameCounts[first] || 0) + 1;
+        });
+
+        return members.filter(member => {
+            const words = member.name.split(/\s+/);
+            const fullName = new RegExp('\\b' + escapeRegExp(member.name) + '\\b', 'i');
+            if (fullName.test(text)) return true;
+
+            const first = words[0];
+            const last = words[words.length - 1];
+            if (firstNameCounts[first.toLowerCase()] > 1) return false;
+
+            // Capture the word after the first name to rule out other people's surnames
+            const firstName = new RegExp('\\b' + escapeRegExp(first) + '\\b(?:\\s+([A-Z][a-z]+)\\b)?', 'g');
+            let match;
+            while ((match = firstName.exec(text)) !== null) {
+                if (!match[1] || match[1] === last) return true;
+            }
+            return false;
+        }).map(member => member.id);
+    }
+
+    window.LabRoster = {
+        load: load,
+        parseRoster: parseRoster,
+        findMentions: findMentions
+    };
+
+})();
@@ -0,0 +1,828 @@
+#!/usr/bin/env node
+/**
+ * build-gallery.js - Generate gallery/manifest.json from the gallery folder
+ *
+ * Scans gallery/ for photos, clips (.mp4/.webm) and YouTube links (.youtube
+ * files holding the video URL) named category_order_description.ext (the same
+ * convention js/gallery-core.js parses), validates every name and writes the
+ * list that the gallery page fetches at runtime.
+ *
+ * Usage:
+ *   node scripts/build-gallery.js           Validate and write the manifest
+ *   node scripts/build-gallery.js --images  Also (re)generate responsive variants
+ *                                           and video poster frames in
+ *                                           gallery/derived/ (needs sharp and ffmpeg)
+ *   node scripts/build-gallery.js --check   Validate and fail if the manifest is stale
+ *   node scripts/build-gallery.js --members Include members-only photos (for a
+ *                                           copy of the site behind a login)
+ *
+ * Any invalid filename or duplicate order number aborts the build with a
+ * report and a non-zero exit code; no manifest is written. The optional
+ * sidecar file gallery/metadata.json is checked as well: entries must name an
+ * existing photo, use only the known fields and reference papers that exist
+ * in data/publications.json. So is gallery/categories.json, whose covers must be
+ * photos of their own category. Photos whose prefix is not a configured
+ * category only produce a warning: the page lists them under "Uncategorized"
+ * in preview mode, so they can be reviewed before publishing.
+ *
+ * Everything in gallery/ is served as it is, so photos that need privacy
+ * flags live in gallery-private/ instead, which git ignores: the original and
+ * its metadata entry, in gallery-private/metadata.json (same format), with
+ *   "privacy": "hidden"        never published
+ *   "privacy": "members-only"  only published by builds run with --members
+ *   "blur": [{"x": 120, "y": 40, "width": 80, "height": 80}]
+ *       rectangles, in pixels of the photo as displayed, blurred in every
+ *       derivative and in the full-size copy the lightbox opens
+ * Published photos from gallery-private/ are only ever served through their
+ * files in gallery/derived/: the variants and a full-size copy, blurred where
+ * flagged. The build fails until --images has written them, when a flagged
+ * original or a privacy field sits in gallery/, and when gallery/derived/
+ * still holds copies of a photo that is not published (left over from a
+ * --members build; --images removes them). Every build prints the flags for
+ * review before publishing, and warns about byte-identical and oversized
+ * photos (see scripts/find-duplicates.js).
+ *
+ * The page never reads the metadata files: the manifest carries the metadata
+ * of the published photos, without the privacy fields. A --members manifest
+ * lists members-only photos, so it belongs only in the copy behind the login;
+ * --check fails on it in the public tree.
+ *
+ * The manifest also records each photo's displayed width/height, its EXIF
+ * capture date (used by the timeline when neither metadata.json nor the
+ * description gives one) and the derivatives found in gallery/derived/, which
+ * js/gallery-core.js turns into <picture> markup with srcset/sizes. Clips get
+ * the path and size of their poster frame, YouTube links the video id.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readImageInfo } = require('./lib/image-info');
+const galleryCore = require('../js/gallery-core');
+const imageVariants = require('./lib/image-variants');
+const videoPoster = require('./lib/video-poster');
+const duplicates = require('./lib/duplicates');
+
+const ROOT = path.resolve(__dirname, '..');
+const GALLERY_DIR = path.join(ROOT, 'gallery');
+const MANIFEST_PATH = path.join(GALLERY_DIR, 'manifest.json');
+const METADATA_PATH = path.join(GALLERY_DIR, 'metadata.json');
+const PRIVATE_DIR = path.join(ROOT, 'gallery-private');
+const PRIVATE_METADATA_PATH = path.join(PRIVATE_DIR, 'metadata.json');
+const CATEGORIES_PATH = path.join(GALLERY_DIR, 'categories.json');
+const DERIVED_DIR = path.join(GALLERY_DIR, 'derived');
+const PUBLICATIONS_PATH = path.join(ROOT, 'data', 'publications.json');
+
+const FILENAME_PATTERN = /^([^_]+)_([^_]+)_(.+)$/;
+
+// Accepted forms of a .youtube link: full watch URL, short youtu.be URL, embed URL or a bare id
+const YOUTUBE_ID_PATTERN = /^(?:https?:\/\/)?(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:\S*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})|^([\w-]{11})$/;
+
+// Size of the YouTube "mqdefault" thumbnail used as the poster
+const YOUTUBE_POSTER_SIZE = { width: 320, height: 180 };
+
+// Sidecar fields and a validator for each - keep in sync with parseFilename in js/gallery-core.js
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isRegion = value => Boolean(value) && ['x', 'y', 'width', 'height'].every(key => typeof value[key] === 'number' && value[key] >= 0) &&
+    value.width > 0 && value.height > 0;
+const PRIVACY_LEVELS = ['hidden', 'members-only'];
+// Fields only gallery-private/metadata.json may use, left out of the manifest
+const PRIVACY_FIELDS = ['privacy', 'blur'];
+const METADATA_FIELDS = {
+    description: { check: isText, hint: 'a non-empty string' },
+    longDescription: { check: isText, hint: 'a non-empty string' },
+    date: { check: value => typeof value === 'string' && galleryCore.parseIsoDate(value, '') !== null, hint: 'a real date as YYYY-MM or YYYY-MM-DD' },
+    event: { check: isText, hint: 'a non-empty string' },
+    location: { check: isText, hint: 'a non-empty string' },
+    people: { check: value => Array.isArray(value) && value.every(isText), hint: 'a list of member ids' },
+    credit: { check: isText, hint: 'a non-empty string' },
+    album: { check: isText, hint: 'a non-empty string' },
+    paper: { check: value => /^[a-z0-9][a-z0-9-]*$/.test(value), hint: 'the id of a paper in data/publications.json' },
+    privacy: { check: value => PRIVACY_LEVELS.includes(value), hint: '"hidden" or "members-only"' },
+    blur: {
+        check: value => Array.isArray(value) && value.length > 0 && value.every(isRegion),
+        hint: 'a list of {x, y, width, height} rectangles in pixels'
+    }
+};
+
+// categories.json fields and a validator for each - keep in sync with parseCategories in js/gallery-core.js
+const CATEGORY_FIELDS = {
+    title: { check: isText, hint: 'a non-empty string' },
+    description: { check: isText, hint: 'a non-empty string' },
+    anchor: { check: value => /^[a-z0-9][a-z0-9-]*$/.test(value), hint: 'lowercase letters, digits and dashes' },
+    sort: { check: value => typeof value === 'number' && isFinite(value), hint: 'a number' },
+    cover: { check: isText, hint: 'a photo filename' },
+    visible: { check: value => typeof value === 'boolean', hint: 'true or false' }
+};
+
+/**
+ * Decide whether a file in gallery/ is ours to ignore (hidden files, data files)
+ * @param {string} filename - File name inside gallery/
+ * @returns {boolean} - True if the file is not a gallery entry
+ */
+function isIgnored(filename) {
+    return filename.startsWith('.') || /\.json$/i.test(filename);
+}
+
+/**
+ * List the files of a gallery folder
+ * @param {string} dir - Absolute path to gallery/ or gallery-private/
+ * @returns {Array} - File names, sorted; empty when the folder does not exist
+ */
+function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(dirent => dirent.isFile())
+        .map(dirent => dirent.name)
+        .sort();
+}
+
+/**
+ * Absolute path to the original of an entry
+ * @param {Object} entry - Validated entry
+ * @returns {string} - Path inside gallery/ or gallery-private/
+ */
+function sourcePath(entry) {
+    return path.join(entry.private ? PRIVATE_DIR : GALLERY_DIR, entry.filename);
+}
+
+/**
+ * Validate a single gallery filename
+ * @param {string} filename - File name inside gallery/
+ * @returns {Object} - {entry} on success or {error} describing the problem
+ */
+function validateFilename(filename) {
+    const media = galleryCore.mediaType(filename);
+    if (!media) {
+        return { error: 'unsupported file type (expected jpg, jpeg, png, gif, webp, mp4, webm or youtube)' };
+    }
+
+    const nameWithoutExt = filename.replace(/\.[^.]+$/, '');
+    const match = nameWithoutExt.match(FILENAME_PATTERN);
+    if (!match) {
+        return { error: 'name does not follow category_order_description' };
+    }
+
+    const category = match[1].toLowerCase();
+    if (!/^\d+$/.test(match[2])) {
+        return { error: `order "${match[2]}" is not a number` };
+    }
+
+    const description = match[3].trim();
+    if (!description) {
+        return { error: 'description is empty' };
+    }
+
+    return {
+        entry: {
+            filename: filename,
+            category: category,
+            order: parseInt(match[2], 10),
+            description: description,
+            media: media
+        }
+    };
+}
+
+/**
+ * Scan the gallery folders and collect valid entries and problems
+ * @param {Array} filenames - File names found in gallery/ and gallery-private/
+ * @param {Array} categoryKeys - Configured categories in display order
+ * @param {Set} privateNames - File names found in gallery-private/
+ * @returns {Object} - {entries, problems}; entries from gallery-private/ have private set
+ */
+function collectEntries(filenames, categoryKeys, privateNames) {
+    const entries = [];
+    const problems = [];
+    const seenOrders = {};
+
+    filenames.filter(name => !isIgnored(name)).forEach(filename => {
+        const result = validateFilename(filename);
+        if (result.error) {
+            problems.push({ filename: filename, message: result.error });
+            return;
+        }
+
+        const entry = result.entry;
+        entry.private = privateNames.has(filename);
+        const key = entry.category + '_' + entry.order;
+        if (seenOrders[key]) {
+            problems.push({
+                filename: filename,
+                message: `duplicate order ${entry.order} in category "${entry.category}" (also used by "${seenOrders[key]}")`
+            });
+            return;
+        }
+        seenOrders[key] = filename;
+        entries.push(entry);
+    });
+
+    // Unconfigured categories go last, alphabetically
+    const rank = category => {
+        const index = categoryKeys.indexOf(category);
+        return index === -1 ? categoryKeys.length : index;
+    };
+    entries.sort((a, b) => {
+        const byCategory = (rank(a.category) - rank(b.category)) || a.category.localeCompare(b.category);
+        return byCategory !== 0 ? byCategory : a.order - b.order;
+    });
+
+    return { entries: entries, problems: problems };
+}
+
+/**
+ * Read the paper ids from data/publications.json (see js/papers.js)
+ * @returns {Set} - Paper ids
+ */
+function readPaperIds() {
+    if (!fs.existsSync(PUBLICATIONS_PATH)) return new Set();
+
+    const data = JSON.parse(fs.readFileSync(PUBLICATIONS_PATH, 'utf8'));
+    return new Set((data.papers || []).map(paper => paper.id));
+}
+
+/**
+ * Read one metadata file
+ * @param {string} filePath - Absolute path to gallery/metadata.json or gallery-private/metadata.json
+ * @param {string} label - Name used in problem reports
+ * @returns {Object} - {metadata, problems}; metadata is {} when the file is missing or broken
+ */
+function readMetadataFile(filePath, label) {
+    if (!fs.existsSync(filePath)) {
+        return { metadata: {}, problems: [] };
+    }
+
+    let metadata;
+    try {
+        metadata = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return { metadata: {}, problems: [{ filename: label, message: 'invalid JSON: ' + error.message }] };
+    }
+
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return { metadata: {}, problems: [{ filename: label, message: 'expected an object keyed by photo filename' }] };
+    }
+    return { metadata: metadata, problems: [] };
+}
+
+/**
+ * Validate gallery/metadata.json and gallery-private/metadata.json against
+ * the collected entries: each file describes the photos of its own folder,
+ * and only the private one may use privacy fields
+ * @param {Array} entries - Validated entries
+ * @returns {Object} - {metadata: both files merged, changed: mtime of the private file in ms, problems}
+ */
+function validateMetadata(entries) {
+    const files = [
+        { path: METADATA_PATH, label: 'metadata.json', folder: 'gallery/', private: false },
+        { path: PRIVATE_METADATA_PATH, label: 'gallery-private/metadata.json', folder: 'gallery-private/', private: true }
+    ];
+    const byFilename = {};
+    entries.forEach(entry => {
+        byFilename[entry.filename] = entry;
+    });
+    const paperIds = readPaperIds();
+    const merged = {};
+    const problems = [];
+
+    files.forEach(file => {
+        const read = readMetadataFile(file.path, file.label);
+        problems.push(...read.problems);
+
+        Object.keys(read.metadata).forEach(filename => {
+            const label = file.label + ' → ' + filename;
+            const entry = byFilename[filename];
+            if (!entry) {
+                problems.push({ filename: label, message: `no photo with this filename in ${file.folder}` });
+                return;
+            }
+            if (entry.private !== file.private) {
+                problems.push({
+                    filename: label,
+                    message: file.private
+                        ? 'the original is in the published gallery/ folder; move it to gallery-private/'
+                        : 'the photo is in gallery-private/; describe it in gallery-private/metadata.json'
+                });
+                return;
+            }
+
+            const fields = read.metadata[filename];
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                problems.push({ filename: label, message: 'expected an object of fields' });
+                return;
+            }
+            merged[filename] = fields;
+
+            Object.keys(fields).forEach(field => {
+                const rule = METADATA_FIELDS[field];
+                if (!rule) {
+                    problems.push({
+                        filename: label,
+                        message: `unknown field "${field}" (expected one of: ${Object.keys(METADATA_FIELDS).join(', ')})`
+                    });
+                } else if (!file.private && PRIVACY_FIELDS.includes(field)) {
+                    problems.push({
+                        filename: label,
+                        message: `field "${field}" is public here; move the photo and its entry to gallery-private/`
+                    });
+                } else if (!rule.check(fields[field])) {
+                    problems.push({ filename: label, message: `field "${field}" must be ${rule.hint}` });
+                } else if (field === 'paper' && !paperIds.has(fields.paper)) {
+                    problems.push({ filename: label, message: `paper "${fields.paper}" is not in data/publications.json` });
+                }
+            });
+        });
+    });
+
+    // Unflagged photos have no reason to be private
+    entries.filter(entry => entry.private).forEach(entry => {
+        const fields = merged[entry.filename] || {};
+        if (!PRIVACY_FIELDS.some(field => fields[field])) {
+            problems.push({
+                filename: 'gallery-private/' + entry.filename,
+                message: 'no "privacy" or "blur" in gallery-private/metadata.json (move it to gallery/ to publish it as it is)'
+            });
+        }
+    });
+
+    const changed = fs.existsSync(PRIVATE_METADATA_PATH) ? fs.statSync(PRIVATE_METADATA_PATH).mtimeMs : 0;
+    return { metadata: merged, changed: changed, problems: problems };
+}
+
+/**
+ * Read and validate gallery/categories.json
+ * @returns {Object} - {keys: configured categories in display order, config, problems}
+ */
+function readCategories() {
+    if (!fs.existsSync(CATEGORIES_PATH)) {
+        return { keys: [], problems: [{ filename: 'categories.json', message: 'missing; the page needs it to lay out the sections' }] };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(CATEGORIES_PATH, 'utf8'));
+    } catch (error) {
+        return { keys: [], problems: [{ filename: 'categories.json', message: 'invalid JSON: ' + error.message }] };
+    }
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return { keys: [], problems: [{ filename: 'categories.json', message: 'expected an object keyed by filename prefix' }] };
+    }
+
+    const problems = [];
+    Object.keys(config).forEach(key => {
+        const label = 'categories.json → ' + key;
+        const fields = config[key];
+        if (!/^[a-z0-9]+$/.test(key)) {
+            problems.push({ filename: label, message: 'category keys must be lowercase letters and digits (the filename prefix)' });
+        }
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            problems.push({ filename: label, message: 'expected an object of fields' });
+            return;
+        }
+        if (fields.title === undefined) {
+            problems.push({ filename: label, message: 'field "title" is required' });
+        }
+
+        Object.keys(fields).forEach(field => {
+            const rule = CATEGORY_FIELDS[field];
+            if (!rule) {
+                problems.push({
+                    filename: label,
+                    message: `unknown field "${field}" (expected one of: ${Object.keys(CATEGORY_FIELDS).join(', ')})`
+                });
+            } else if (!rule.check(fields[field])) {
+                problems.push({ filename: label, message: `field "${field}" must be ${rule.hint}` });
+            }
+        });
+    });
+
+    const categories = galleryCore.parseCategories(config, true);
+    const keys = Object.keys(categories).filter(key => key !== galleryCore.UNCATEGORIZED);
+    const anchors = {};
+    keys.forEach(key => {
+        const anchor = categories[key].anchor;
+        if (anchors[anchor]) {
+            problems.push({ filename: 'categories.json → ' + key, message: `anchor "${anchor}" is also used by "${anchors[anchor]}"` });
+        }
+        anchors[anchor] = key;
+    });
+
+    return { keys: keys, config: config, problems: problems };
+}
+
+/**
+ * Check that every category cover is a photo of that category
+ * @param {Object} config - Parsed gallery/categories.json
+ * @param {Array} entries - Validated entries
+ * @returns {Array} - {filename, message} problems
+ */
+function validateCovers(config, entries) {
+    const problems = [];
+    Object.keys(config || {}).forEach(key => {
+        const cover = config[key] && config[key].cover;
+        if (!isText(cover)) return;
+
+        const entry = entries.find(candidate => candidate.filename === cover);
+        if (!entry) {
+            problems.push({ filename: 'categories.json → ' + key, message: `cover "${cover}" is not a file in gallery/` });
+        } else if (entry.category !== key.toLowerCase() || entry.media !== 'image') {
+            problems.push({ filename: 'categories.json → ' + key, message: `cover "${cover}" must be a photo of this category` });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Warn about photos that only show up in preview mode
+ * @param {Array} entries - Validated entries
+ * @param {Array} categoryKeys - Configured categories
+ */
+function warnUncategorized(entries, categoryKeys) {
+    entries.filter(entry => !categoryKeys.includes(entry.category)).forEach(entry => {
+        console.warn(`  ! ${entry.filename}: category "${entry.category}" is not in gallery/categories.json (shown under Uncategorized in preview mode only)`);
+    });
+}
+
+/**
+ * Collect the privacy flags of every photo from the (already validated) metadata
+ * @param {Object} metadata - Both metadata files merged, from validateMetadata()
+ * @returns {Object} - {privacy, blur} keyed by filename
+ */
+function readPrivacyFlags(metadata) {
+    const flags = {};
+    Object.keys(metadata).forEach(filename => {
+        const fields = metadata[filename];
+        if (fields.privacy || fields.blur) {
+            flags[filename] = { privacy: fields.privacy || '', blur: fields.blur || [] };
+        }
+    });
+    return flags;
+}
+
+/**
+ * Drop the photos a build must not publish
+ * @param {Array} entries - Validated entries
+ * @param {Object} flags - Privacy flags keyed by filename
+ * @param {boolean} includeMembers - Keep members-only photos (--members)
+ * @returns {Array} - Entries to publish
+ */
+function applyPrivacy(entries, flags, includeMembers) {
+    return entries.filter(entry => {
+        const privacy = (flags[entry.filename] || {}).privacy;
+        return privacy !== 'hidden' && (privacy !== 'members-only' || includeMembers);
+    });
+}
+
+/**
+ * Check blur regions and category covers against the published photos
+ * @param {Array} entries - Entries to publish, with sizes
+ * @param {Object} flags - Privacy flags keyed by filename
+ * @param {Object} config - Parsed gallery/categories.json
+ * @returns {Array} - {filename, message} problems
+ */
+function validatePrivacy(entries, flags, config) {
+    const problems = [];
+    const published = new Set(entries.map(entry => entry.filename));
+
+    entries.forEach(entry => {
+        const label = 'gallery-private/metadata.json → ' + entry.filename;
+        if (entry.private && entry.media !== 'image') {
+            problems.push({ filename: label, message: 'only photos can be published from gallery-private/ (clips have no derived copies to serve)' });
+            return;
+        }
+
+        const regions = (flags[entry.filename] || {}).blur || [];
+        if (regions.length === 0) return;
+
+        if (entry.media !== 'image') {
+            problems.push({ filename: label, message: 'only photos can have blur regions' });
+            return;
+        }
+        regions.forEach((region, index) => {
+            if (region.x + region.width > entry.size.width || region.y + region.height > entry.size.height) {
+                problems.push({
+                    filename: label,
+                    message: `blur region ${index + 1} extends past the ${entry.size.width}x${entry.size.height} photo`
+                });
+            }
+        });
+    });
+
+    Object.keys(config || {}).forEach(key => {
+        const cover = config[key] && config[key].cover;
+        if (isText(cover) && flags[cover] && !published.has(cover)) {
+            problems.push({ filename: 'categories.json → ' + key, message: `cover "${cover}" is flagged ${flags[cover].privacy} and not published` });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Check that every published photo from gallery-private/ has current derived
+ * copies, blurred where flagged, since the page has no other way to show it
+ * @param {Array} entries - Entries to publish
+ * @param {Object} privacy - {flags, changed}: privacy flags and when they were last edited
+ * @returns {Array} - {filename, message} problems
+ */
+function validateRedactions(entries, privacy) {
+    return entries
+        .filter(entry => entry.private)
+        .filter(entry => !imageVariants.hasCurrentRedaction(DERIVED_DIR, sourcePath(entry), privacy.changed))
+        .map(entry => ({
+            filename: 'gallery-private/' + entry.filename,
+            message: 'derived copies are missing or older than the original or its flags; run with --images'
+        }));
+}
+
+/**
+ * Check that gallery/derived holds nothing of the photos this build leaves out
+ * @param {Array} collected - All validated entries
+ * @param {Array} entries - Entries to publish
+ * @returns {Array} - {filename, message} problems
+ */
+function validateUnpublished(collected, entries) {
+    const published = new Set(entries.map(entry => entry.filename));
+    return collected
+        .filter(entry => entry.private && !published.has(entry.filename))
+        .filter(entry => imageVariants.findVariants(DERIVED_DIR, entry.filename) || imageVariants.findFullSize(DERIVED_DIR, entry.filename))
+        .map(entry => ({
+            filename: 'gallery-private/' + entry.filename,
+            message: 'not published, but gallery/derived/ still has copies of it; run with --images to remove them'
+        }));
+}
+
+/**
+ * Print every photo with a privacy flag, for review before publishing
+ * @param {Object} flags - Privacy flags keyed by filename
+ * @param {boolean} includeMembers - Whether members-only photos are published
+ */
+function reportPrivacy(flags, includeMembers) {
+    const filenames = Object.keys(flags).sort();
+    if (filenames.length === 0) return;
+
+    console.log(`Privacy flags (${filenames.length} photo(s)):`);
+    filenames.forEach(filename => {
+        const flag = flags[filename];
+        const notes = [];
+        if (flag.privacy === 'hidden') {
+            notes.push('hidden: not published');
+        } else if (flag.privacy === 'members-only') {
+            notes.push(includeMembers ? 'members-only: published (--members)' : 'members-only: not published');
+        }
+        if (flag.blur.length > 0) {
+            notes.push(`${flag.blur.length} blurred region(s)`);
+        }
+        console.log(`  • ${filename}`);
+        console.log(`      ${notes.join('; ')}`);
+    });
+    console.log('  Their originals stay in gallery-private/; published ones are served only through gallery/derived/.');
+}
+
+/**
+ * Warn about byte-identical photos and originals too large to serve. Near
+ * duplicates need image decoding; scripts/find-duplicates.js reports those.
+ * @param {Array} entries - Entries to publish
+ */
+function warnDuplicates(entries) {
+    const photos = entries.filter(entry => entry.media === 'image' && !entry.private).map(entry => entry.filename);
+
+    duplicates.findExactDuplicates(GALLERY_DIR, photos).forEach(group => {
+        console.warn(`  ! ${group.join(', ')}: identical files (run node scripts/find-duplicates.js --fix)`);
+    });
+    duplicates.findOversized(GALLERY_DIR, photos).forEach(file => {
+        console.warn(`  ! ${file.filename}: oversized original, ${file.reasons.join(', ')}`);
+    });
+}
+
+/**
+ * Read the YouTube video id from a .youtube link file
+ * @param {string} filePath - Absolute path to the link file
+ * @returns {string|null} - Video id or null if the file holds no YouTube link
+ */
+function readYouTubeId(filePath) {
+    const match = fs.readFileSync(filePath, 'utf8').trim().match(YOUTUBE_ID_PATTERN);
+    return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Read the displayed size and EXIF date of every photo and the video id of
+ * every YouTube link. Clip sizes come from their poster frames later on.
+ * @param {Array} entries - Validated entries (size/youtube are added in place)
+ * @returns {Array} - {filename, message} problems for unreadable files
+ */
+function readSizes(entries) {
+    const problems = [];
+    entries.forEach(entry => {
+        const filePath = sourcePath(entry);
+
+        if (entry.media === 'youtube') {
+            entry.youtube = readYouTubeId(filePath);
+            entry.size = YOUTUBE_POSTER_SIZE;
+            if (!entry.youtube) {
+                problems.push({ filename: entry.filename, message: 'no YouTube URL or video id in the file' });
+            }
+            return;
+        }
+        if (entry.media === 'video') {
+            return;
+        }
+
+        entry.size = readImageInfo(filePath);
+        if (!entry.size) {
+            problems.push({ filename: entry.filename, message: 'could not read image dimensions (corrupt or unsupported file?)' });
+        }
+    });
+    return problems;
+}
+
+/**
+ * Generate responsive variants of every photo and the poster frame of every
+ * clip, and drop orphaned ones. Photos from gallery-private/ also get their
+ * full-size copy, blurred where flagged.
+ * @param {Array} entries - Validated entries with sizes
+ * @param {Object} privacy - {flags, changed}: privacy flags and when they were last edited
+ * @returns {Promise} - Resolves when all variants are written
+ */
+function buildVariants(entries, privacy) {
+    if (!fs.existsSync(DERIVED_DIR)) {
+        fs.mkdirSync(DERIVED_DIR);
+    }
+
+    const keep = new Set();
+    // One photo at a time keeps memory bounded for multi-megapixel originals
+    return entries.reduce((chain, entry) => chain.then(() => {
+        const filePath = sourcePath(entry);
+        if (entry.media === 'video') {
+            keep.add(videoPoster.generatePoster(filePath, DERIVED_DIR));
+            return null;
+        }
+        if (entry.media === 'youtube') {
+            return null;
+        }
+        const regions = (privacy.flags[entry.filename] || {}).blur || [];
+        const redaction = entry.private ? { regions: regions, changed: privacy.changed } : null;
+        return imageVariants.generateVariants(filePath, DERIVED_DIR, entry.size, redaction)
+            .then(names => names.forEach(name => keep.add(name)));
+    }), Promise.resolve()).then(() => {
+        const removed = imageVariants.removeStaleVariants(DERIVED_DIR, keep);
+        console.log(`Image variants up to date (${keep.size} files, ${removed.length} stale removed).`);
+    });
+}
+
+/**
+ * Build the manifest record of one entry
+ * @param {Object} entry - Validated entry with size
+ * @returns {Object} - {width, height, date?, variants?} for photos,
+ *                     plus media and poster/youtube for clips and talks
+ */
+function buildAsset(entry) {
+    if (entry.media === 'video') {
+        const poster = videoPoster.findPoster(DERIVED_DIR, entry.filename);
+        if (!poster) {
+            console.warn(`  ! ${entry.filename}: no poster frame yet (run with --images)`);
+            return { media: 'video' };
+        }
+        const size = readImageInfo(path.join(GALLERY_DIR, poster)) || {};
+        return { width: size.width, height: size.height, media: 'video', poster: poster };
+    }
+
+    if (entry.media === 'youtube') {
+        return { width: entry.size.width, height: entry.size.height, media: 'youtube', youtube: entry.youtube };
+    }
+
+    const asset = { width: entry.size.width, height: entry.size.height };
+    if (entry.size.date) {
+        asset.date = entry.size.date;
+    }
+    const variants = imageVariants.findVariants(DERIVED_DIR, entry.filename);
+    if (variants) {
+        asset.variants = variants;
+    }
+    // Only photos from gallery-private/ have a full-size copy; the lightbox opens it instead of the original
+    const full = imageVariants.findFullSize(DERIVED_DIR, entry.filename);
+    if (full) {
+        asset.full = full;
+    }
+    return asset;
+}
+
+/**
+ * Build the manifest object written to gallery/manifest.json
+ * @param {Array} entries - Validated, sorted entries with sizes
+ * @param {Object} metadata - Both metadata files merged
+ * @returns {Object} - Manifest data; "metadata" holds the published photos'
+ *                     entries without the privacy fields
+ */
+function buildManifest(entries, metadata) {
+    const assets = {};
+    const published = {};
+    entries.forEach(entry => {
+        assets[entry.filename] = buildAsset(entry);
+
+        const fields = Object.assign({}, metadata[entry.filename]);
+        PRIVACY_FIELDS.forEach(field => delete fields[field]);
+        if (Object.keys(fields).length > 0) {
+            published[entry.filename] = fields;
+        }
+    });
+
+    return {
+        generatedBy: 'scripts/build-gallery.js',
+        images: entries.map(entry => entry.filename),
+        assets: assets,
+        metadata: published
+    };
+}
+
+/**
+ * Print a readable report of invalid files
+ * @param {Array} problems - {filename, message} list
+ */
+function reportProblems(problems) {
+    console.error(`Gallery build failed: ${problems.length} problem(s) in gallery/\n`);
+    problems.forEach(problem => {
+        console.error(`  ✗ ${problem.filename}`);
+        console.error(`      ${problem.message}`);
+    });
+    console.error('\nExpected filenames like: conference_07_Jul 2025 - ICML Poster Session.jpg');
+}
+
+/**
+ * Compare or write the manifest
+ * @param {Array} entries - Validated, sorted entries with sizes
+ * @param {Object} metadata - Both metadata files merged
+ * @param {boolean} checkOnly - Only verify that the manifest is current
+ */
+function writeManifest(entries, metadata, checkOnly) {
+    const output = JSON.stringify(buildManifest(entries, metadata), null, 2) + '\n';
+
+    if (checkOnly) {
+        const current = fs.existsSync(MANIFEST_PATH) ? fs.readFileSync(MANIFEST_PATH, 'utf8') : '';
+        if (current !== output) {
+            console.error('gallery/manifest.json is out of date. Run: node scripts/build-gallery.js');
+            process.exit(1);
+        }
+        console.log(`gallery/manifest.json is up to date (${entries.length} images).`);
+        return;
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, output);
+    console.log(`Wrote gallery/manifest.json (${entries.length} images).`);
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const withImages = process.argv.includes('--images');
+    const includeMembers = process.argv.includes('--members');
+    const publicNames = listFiles(GALLERY_DIR);
+    const privateNames = listFiles(PRIVATE_DIR).filter(name => !isIgnored(name));
+    const categories = readCategories();
+    const collected = collectEntries(publicNames.concat(privateNames), categories.keys, new Set(privateNames));
+    const problems = collected.problems;
+    problems.unshift(...categories.problems);
+    privateNames.filter(name => publicNames.includes(name)).forEach(name => {
+        problems.push({ filename: name, message: 'in both gallery/ and gallery-private/; keep only the private copy' });
+    });
+    problems.push(...validateCovers(categories.config, collected.entries));
+    const metadata = validateMetadata(collected.entries);
+    problems.push(...metadata.problems);
+
+    if (problems.length > 0) {
+        reportProblems(problems);
+        process.exit(1);
+    }
+
+    const privacy = { flags: readPrivacyFlags(metadata.metadata), changed: metadata.changed };
+    const entries = applyPrivacy(collected.entries, privacy.flags, includeMembers);
+    problems.push(...readSizes(entries));
+    problems.push(...validatePrivacy(entries, privacy.flags, categories.config));
+    if (problems.length === 0 && !(withImages && !checkOnly)) {
+        problems.push(...validateRedactions(entries, privacy));
+        problems.push(...validateUnpublished(collected.entries, entries));
+    }
+
+    if (problems.length > 0) {
+        reportProblems(problems);
+        process.exit(1);
+    }
+    warnUncategorized(entries, categories.keys);
+    warnDuplicates(entries);
+    reportPrivacy(privacy.flags, includeMembers);
+
+    if (withImages && !checkOnly) {
+        buildVariants(entries, privacy)
+            .then(() => writeManifest(entries, metadata.metadata, false))
+            .catch(error => {
+                console.error('Generating image variants failed:', error);
+                process.exit(1);
+            });
+        return;
+    }
+
+    writeManifest(entries, metadata.metadata, checkOnly);
+}
+
+main();
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * find-duplicates.js - Report duplicate and oversized photos in gallery/
+ *
+ * Compares every photo in gallery/ by file hash and perceptual hash (see
+ * scripts/lib/duplicates.js) and lists each cluster of exact or near
+ * duplicates, plus originals that are too large to serve as they are.
+ *
+ * Usage:
+ *   node scripts/find-duplicates.js              Report clusters and oversized originals
+ *   node scripts/find-duplicates.js --distance 4 Only count hashes at most 4 bits
+ *                                                apart as near duplicates (default 6)
+ *   node scripts/find-duplicates.js --fix        Pick the photo to keep in every cluster,
+ *                                                delete the others and renumber their
+ *                                                categories without gaps
+ *
+ * --fix also moves gallery/metadata.json entries and category covers to the
+ * new filenames, and gives the kept photo the metadata of a deleted duplicate
+ * when it has none of its own. Rebuild the manifest afterwards:
+ *   node scripts/build-gallery.js
+ *
+ * The report exits with status 1 when it finds duplicates, so it can run in CI.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const galleryCore = require('../js/gallery-core');
+const duplicates = require('./lib/duplicates');
+
+const ROOT = path.resolve(__dirname, '..');
+const GALLERY_DIR = path.join(ROOT, 'gallery');
+const METADATA_PATH = path.join(GALLERY_DIR, 'metadata.json');
+const CATEGORIES_PATH = path.join(GALLERY_DIR, 'categories.json');
+
+const FILENAME_PATTERN = /^([^_]+)_(\d+)_(.+)$/;
+
+/**
+ * List the photos in gallery/ (clips and YouTube links have nothing to compare)
+ * @returns {Array} - Filenames, sorted
+ */
+function listPhotos() {
+    return fs.readdirSync(GALLERY_DIR, { withFileTypes: true })
+        .filter(dirent => dirent.isFile() && !dirent.name.startsWith('.'))
+        .map(dirent => dirent.name)
+        .filter(name => galleryCore.mediaType(name) === 'image')
+        .sort();
+}
+
+/**
+ * Print the duplicate clusters and oversized originals
+ * @param {Array} clusters - From duplicates.findDuplicates()
+ * @param {Array} oversized - From duplicates.findOversized()
+ */
+function report(clusters, oversized) {
+    if (clusters.length === 0) {
+        console.log('No duplicate photos found.');
+    } else {
+        console.log(`${clusters.length} cluster(s) of duplicate photos:\n`);
+        clusters.forEach((group, index) => {
+            console.log(`  ${index + 1}. ${group.exact ? 'Exact duplicates' : 'Near duplicates'}`);
+            group.files.forEach(describeFile);
+            console.log('');
+        });
+    }
+
+    if (oversized.length > 0) {
+        console.log(`${oversized.length} oversized original(s):`);
+        oversized.forEach(file => {
+            console.log(`  ! ${file.filename}: ${file.reasons.join(', ')}`);
+        });
+    }
+}
+
+/**
+ * Print one file of a cluster
+ * @param {Object} file - {filename, bytes, width, height, distance}
+ * @param {number} [number] - Choice number shown in --fix mode
+ */
+function describeFile(file, number) {
+    const choice = typeof number === 'number' ? `[${number + 1}] ` : '- ';
+    const distance = file.distance > 0 ? `, ${file.distance} bits apart` : '';
+    console.log(`     ${choice}${file.filename}`);
+    console.log(`         ${file.width}x${file.height}, ${duplicates.formatBytes(file.bytes)}${distance}`);
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {Object} prompt - readline interface
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} - Trimmed answer
+ */
+function ask(prompt, question) {
+    return new Promise(resolve => prompt.question(question, answer => resolve(answer.trim())));
+}
+
+/**
+ * Ask which photo to keep in every cluster
+ * @param {Array} clusters - From duplicates.findDuplicates()
+ * @returns {Promise<Array>} - [{keep, remove: [filenames]}] for the clusters not skipped
+ */
+function chooseKeepers(clusters) {
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const choices = [];
+
+    return clusters.reduce((chain, group, index) => chain.then(() => {
+        console.log(`\nCluster ${index + 1} of ${clusters.length} (${group.exact ? 'exact' : 'near'} duplicates):`);
+        group.files.forEach(describeFile);
+
+        const askAgain = () => ask(prompt, `Keep which photo? [1-${group.files.length}, Enter to skip] `).then(answer => {
+            if (answer === '') return null;
+            const number = parseInt(answer, 10);
+            if (!(number >= 1 && number <= group.files.length)) {
+                console.log('  Please enter one of the numbers above.');
+                return askAgain();
+            }
+            const keep = group.files[number - 1].filename;
+            choices.push({
+                keep: keep,
+                remove: group.files.map(file => file.filename).filter(filename => filename !== keep)
+            });
+            return null;
+        });
+        return askAgain();
+    }), Promise.resolve()).then(() => {
+        prompt.close();
+        return choices;
+    });
+}
+
+/**
+ * Read a JSON data file, or null when it does not exist
+ * @param {string} filePath - Absolute path
+ * @returns {Object|null} - Parsed data
+ */
+function readJSON(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Write a data file in the repo's layout: two-space indent, short lists on one line
+ * @param {string} filePath - Absolute path
+ * @param {Object} data - Data to write
+ */
+function writeJSON(filePath, data) {
+    const text = JSON.stringify(data, null, 2)
+        .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (match, items) => '[' + items.replace(/,\s+/g, ', ') + ']');
+    fs.writeFileSync(filePath, text + '\n');
+}
+
+/**
+ * Rename keys of an object, keeping their order
+ * @param {Object} object - Keyed data
+ * @param {Object} renames - New key by old key
+ * @returns {Object} - Renamed copy
+ */
+function renameKeys(object, renames) {
+    const renamed = {};
+    Object.keys(object).forEach(key => {
+        renamed[renames[key] || key] = object[key];
+    });
+    return renamed;
+}
+
+/**
+ * Close the gaps in the order numbers of the given categories
+ * @param {Array} categories - Category prefixes to renumber
+ * @returns {Object} - New filename by old filename, for the files that moved
+ */
+function renumber(categories) {
+    const renames = {};
+    const files = fs.readdirSync(GALLERY_DIR)
+        .map(name => ({ name: name, match: name.match(FILENAME_PATTERN) }))
+        .filter(file => file.match && categories.includes(file.match[1].toLowerCase()));
+
+    categories.forEach(category => {
+        const inCategory = files
+            .filter(file => file.match[1].toLowerCase() === category)
+            .sort((a, b) => parseInt(a.match[2], 10) - parseInt(b.match[2], 10));
+
+        // Ascending order only ever moves a file down into a number already vacated
+        inCategory.forEach((file, index) => {
+            const order = String(index + 1).padStart(file.match[2].length, '0');
+            if (order === file.match[2]) return;
+
+            const renamed = `${file.match[1]}_${order}_${file.match[3]}`;
+            fs.renameSync(path.join(GALLERY_DIR, file.name), path.join(GALLERY_DIR, renamed));
+            renames[file.name] = renamed;
+            console.log(`  renamed ${file.name} → ${renamed}`);
+        });
+    });
+    return renames;
+}
+
+/**
+ * Delete the duplicates, renumber their categories and update the data files
+ * @param {Array} choices - From chooseKeepers()
+ */
+function applyChoices(choices) {
+    const metadata = readJSON(METADATA_PATH);
+    const categories = readJSON(CATEGORIES_PATH);
+    const touched = new Set();
+
+    choices.forEach(choice => {
+        choice.remove.forEach(filename => {
+            fs.unlinkSync(path.join(GALLERY_DIR, filename));
+            touched.add(filename.split('_')[0].toLowerCase());
+            console.log(`  deleted ${filename}`);
+
+            if (metadata && metadata[filename]) {
+                if (!metadata[choice.keep]) {
+                    metadata[choice.keep] = metadata[filename];
+                    console.log(`    (its metadata now belongs to ${choice.keep})`);
+                }
+                delete metadata[filename];
+            }
+            if (categories) {
+                Object.keys(categories).forEach(key => {
+                    if (categories[key].cover === filename) {
+                        categories[key].cover = choice.keep;
+                    }
+                });
+            }
+        });
+    });
+
+    const renames = renumber(Array.from(touched));
+
+    if (metadata) {
+        writeJSON(METADATA_PATH, renameKeys(metadata, renames));
+    }
+    if (categories) {
+        Object.keys(categories).forEach(key => {
+            const cover = categories[key].cover;
+            if (cover && renames[cover]) {
+                categories[key].cover = renames[cover];
+            }
+        });
+        writeJSON(CATEGORIES_PATH, categories);
+    }
+
+    console.log('\nDone. Rebuild the manifest with: node scripts/build-gallery.js');
+}
+
+/**
+ * Read the --distance option
+ * @returns {number|undefined} - Bits, or undefined for the default
+ */
+function readDistance() {
+    const index = process.argv.indexOf('--distance');
+    if (index === -1) return undefined;
+
+    const distance = parseInt(process.argv[index + 1], 10);
+    if (!(distance >= 0 && distance <= 64)) {
+        console.error('--distance needs a number of bits between 0 and 64');
+        process.exit(1);
+    }
+    return distance;
+}
+
+function main() {
+    const fix = process.argv.includes('--fix');
+    const photos = listPhotos();
+
+    duplicates.findDuplicates(GALLERY_DIR, photos, readDistance())
+        .then(clusters => {
+            report(clusters, duplicates.findOversized(GALLERY_DIR, photos));
+
+            if (!fix) {
+                process.exitCode = clusters.length > 0 ? 1 : 0;
+                return null;
+            }
+            if (clusters.length === 0) {
+                return null;
+            }
+            return chooseKeepers(clusters).then(choices => {
+                if (choices.length === 0) {
+                    console.log('\nNothing changed.');
+                    return;
+                }
+                console.log('');
+                applyChoices(choices);
+            });
+        })
+        .catch(error => {
+            console.error('Checking for duplicates failed:', error);
+            process.exit(1);
+        });
+}
+
+main();
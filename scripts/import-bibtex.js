@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * import-bibtex.js - Add papers from a .bib file to data/publications.json
+ *
+ * Reads @inproceedings, @article and @misc (arXiv) entries with js/bibtex.js
+ * and merges them into the publication list that publication.html renders
+ * (see js/papers.js for the record format). Each record keeps its entry, with
+ * @string macros expanded, as "bibtex", which the page's Cite button shows.
+ *
+ * Usage:
+ *   node scripts/import-bibtex.js lab.bib                Add new papers, update known ones
+ *   node scripts/import-bibtex.js lab.bib --topic llm    List new papers under a topic
+ *                                                        (repeat or comma-separate for several)
+ *   node scripts/import-bibtex.js lab.bib --dry-run      Only report what would change
+ *
+ * A paper is known when its title (ignoring case and punctuation) matches an
+ * existing record. Known papers get the BibTeX entry and any missing link or
+ * year; their authors, topics and notes are left alone, since the site edits
+ * those by hand (equal-contribution stars, awards). A preprint that the .bib
+ * lists as published is moved to its venue. New papers are inserted at the
+ * top of their year. Ids come from the first title words, so a new paper
+ * whose id is taken gets a numbered one ("mozart-2") and a warning; it is
+ * never merged into the other record.
+ *
+ * Entries without a title, authors or venue abort the import with a report
+ * and a non-zero exit code; nothing is written.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const bibtex = require('../js/bibtex');
+
+const ROOT = path.resolve(__dirname, '..');
+const PUBLICATIONS_PATH = path.join(ROOT, 'data', 'publications.json');
+
+const IMPORTED_TYPES = ['inproceedings', 'conference', 'article', 'misc'];
+
+// Field order of new records, matching the hand-written ones
+const RECORD_FIELDS = ['id', 'short', 'title', 'authors', 'venue', 'year', 'note', 'status', 'topics', 'links', 'bibtex'];
+
+// Link types that already point to the paper itself (see LINK_TYPES in js/papers.js)
+const PAPER_LINKS = ['paper', 'arxiv', 'pdf', 'openreview'];
+
+/**
+ * Compare titles ignoring case, accents and punctuation
+ * @param {string} title - Paper title
+ * @returns {string} - Lowercase letters and digits only
+ */
+function titleKey(title) {
+    return title.normalize('NFD').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Write a data file in the repo's layout: two-space indent, short lists on one line
+ * @param {string} filePath - Absolute path
+ * @param {Object} data - Data to write
+ */
+function writeJSON(filePath, data) {
+    const text = JSON.stringify(data, null, 2)
+        .replace(/\[\s+([^[\]{}]*?)\s+\]/g, (match, items) => '[' + items.replace(/,\s+/g, ', ') + ']');
+    fs.writeFileSync(filePath, text + '\n');
+}
+
+/**
+ * Put a record's fields in RECORD_FIELDS order (unknown fields last)
+ * @param {Object} paper - Record
+ * @returns {Object} - Reordered copy
+ */
+function orderFields(paper) {
+    const record = {};
+    RECORD_FIELDS.concat(Object.keys(paper)).forEach(field => {
+        if (paper[field] !== undefined) record[field] = paper[field];
+    });
+    return record;
+}
+
+/**
+ * Read the --topic options
+ * @param {Array} topics - Topics of data/publications.json
+ * @returns {Array} - Topic ids
+ */
+function readTopics(topics) {
+    const ids = [];
+    process.argv.forEach((arg, index) => {
+        if (arg === '--topic') {
+            ids.push(...(process.argv[index + 1] || '').split(',').map(id => id.trim()).filter(Boolean));
+        }
+    });
+
+    const known = topics.map(topic => topic.id);
+    const unknown = ids.filter(id => !known.includes(id));
+    if (unknown.length > 0) {
+        console.error(`Unknown topic(s): ${unknown.join(', ')}`);
+        console.error(`Topics in data/publications.json: ${known.join(', ')}`);
+        process.exit(1);
+    }
+    return ids;
+}
+
+/**
+ * Parse the .bib file into paper records
+ * @param {string} bibPath - Path to the .bib file
+ * @returns {Object} - {papers, problems: [{key, message}], skipped: [{key, type}]}
+ */
+function readBibFile(bibPath) {
+    let entries;
+    try {
+        entries = bibtex.parse(fs.readFileSync(bibPath, 'utf8'));
+    } catch (error) {
+        console.error(`Import failed: ${bibPath}: ${error.message}`);
+        process.exit(1);
+    }
+
+    const papers = [];
+    const problems = [];
+    const skipped = [];
+    entries.forEach(entry => {
+        if (!IMPORTED_TYPES.includes(entry.type)) {
+            skipped.push({ key: entry.key, type: entry.type });
+            return;
+        }
+        const paper = bibtex.toPaper(entry);
+        const missing = ['title', 'authors', 'venue'].filter(field => !paper[field] || paper[field].length === 0);
+        if (missing.length > 0) {
+            problems.push({ key: entry.key, message: `missing ${missing.join(', ')}` });
+            return;
+        }
+        papers.push(paper);
+    });
+    return { papers: papers, problems: problems, skipped: skipped };
+}
+
+/**
+ * Update a known paper from its imported record
+ * @param {Object} existing - Record in data/publications.json (changed in place)
+ * @param {Object} imported - Record from the .bib file
+ * @returns {Array} - Descriptions of what changed
+ */
+function updatePaper(existing, imported) {
+    const changes = [];
+
+    if (existing.bibtex !== imported.bibtex) {
+        existing.bibtex = imported.bibtex;
+        changes.push('BibTeX');
+    }
+    if (imported.links && !PAPER_LINKS.some(type => existing.links && existing.links[type])) {
+        existing.links = Object.assign({}, existing.links, { paper: imported.links.paper });
+        changes.push('paper link');
+    }
+    if (existing.status === 'preprint' && imported.status !== 'preprint') {
+        ['venue', 'year', 'note', 'status'].forEach(field => {
+            if (imported[field] === undefined) {
+                delete existing[field];
+            } else {
+                existing[field] = imported[field];
+            }
+        });
+        changes.push(`now ${imported.status} at ${imported.venue}`);
+    } else if (!existing.year && imported.year) {
+        existing.year = imported.year;
+        changes.push('year');
+    }
+    return changes;
+}
+
+/**
+ * Build the record of a new paper
+ * @param {Object} imported - Record from the .bib file
+ * @param {Array} topics - Topic ids from --topic
+ * @param {Array} papers - Existing records, for a unique id
+ * @returns {Object} - Record with the fields in RECORD_FIELDS order
+ */
+function newPaper(imported, topics, papers) {
+    let id = imported.id;
+    for (let suffix = 2; papers.some(paper => paper.id === id); suffix++) {
+        id = `${imported.id}-${suffix}`;
+    }
+
+    return orderFields(Object.assign({}, imported, { id: id, topics: topics }));
+}
+
+/**
+ * Insert a paper at the top of its year (papers without a year go last)
+ * @param {Array} papers - Records in page order, newer years first
+ * @param {Object} paper - Record to insert
+ */
+function insertByYear(papers, paper) {
+    const index = papers.findIndex(other => (other.year || 0) <= (paper.year || 0));
+    papers.splice(index === -1 ? papers.length : index, 0, paper);
+}
+
+function main() {
+    const bibPath = process.argv[2];
+    const dryRun = process.argv.includes('--dry-run');
+    if (!bibPath || bibPath.startsWith('--')) {
+        console.error('Usage: node scripts/import-bibtex.js <file.bib> [--topic <id>] [--dry-run]');
+        process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(PUBLICATIONS_PATH, 'utf8'));
+    const topics = readTopics(data.topics || []);
+    const bib = readBibFile(bibPath);
+
+    if (bib.problems.length > 0) {
+        console.error(`Import failed: ${bib.problems.length} problem(s) in ${bibPath}\n`);
+        bib.problems.forEach(problem => {
+            console.error(`  ✗ ${problem.key}`);
+            console.error(`      ${problem.message}`);
+        });
+        process.exit(1);
+    }
+    bib.skipped.forEach(entry => {
+        console.warn(`  ! ${entry.key}: @${entry.type} entries are not imported`);
+    });
+
+    let added = 0;
+    let updated = 0;
+    bib.papers.forEach(imported => {
+        const existing = data.papers.find(paper => titleKey(paper.title) === titleKey(imported.title));
+
+        if (existing) {
+            const changes = updatePaper(existing, imported);
+            if (changes.length > 0) {
+                updated++;
+                console.log(`  updated ${existing.id}: ${changes.join(', ')}`);
+            }
+            return;
+        }
+
+        const paper = newPaper(imported, topics, data.papers);
+        insertByYear(data.papers, paper);
+        added++;
+        console.log(`  added ${paper.id} [${paper.venue}${paper.year ? ' ' + paper.year : ''}]`);
+        if (paper.id !== imported.id) {
+            console.warn(`  ! ${paper.id}: the id ${imported.id} belongs to another paper, so this one is ${paper.id}`);
+        }
+        if (topics.length === 0) {
+            console.warn(`  ! ${paper.id}: no --topic given, so it is not listed until "topics" is filled in`);
+        }
+    });
+
+    const unchanged = bib.papers.length - added - updated;
+    console.log(`\n${added} added, ${updated} updated, ${unchanged} unchanged.`);
+
+    if (added + updated === 0) return;
+    if (dryRun) {
+        console.log('data/publications.json not written (--dry-run).');
+        return;
+    }
+    data.papers = data.papers.map(orderFields);
+    writeJSON(PUBLICATIONS_PATH, data);
+    console.log('Wrote data/publications.json');
+}
+
+main();
@@ -0,0 +1,220 @@
+/**
+ * duplicates.js - Find duplicate and oversized gallery originals
+ *
+ * Exact duplicates are files with the same bytes (SHA-1). Near duplicates are
+ * photos whose perceptual hashes differ in only a few bits: the same shot from
+ * two phones, or a re-export with another size or name. The perceptual hash is
+ * a 64-bit difference hash (dHash) of a 9x8 greyscale thumbnail, so it needs
+ * the "sharp" package, which is only needed on the machine that checks images:
+ *   npm install --no-save sharp
+ * Exact duplicates and oversized files are found with plain Node.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { readImageInfo } = require('./image-info');
+
+// Hashes this many bits apart or fewer count as the same photo
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+// Originals above either limit are flagged: the lightbox downloads them whole
+const MAX_ORIGINAL_BYTES = 5 * 1024 * 1024;
+const MAX_ORIGINAL_SIDE = 6000;
+
+// dHash thumbnail: one extra column so each row yields 8 left/right comparisons
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Load sharp, explaining how to get it when it is missing
+ * @returns {Function} - The sharp module
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('Finding near-duplicate photos needs the "sharp" package.');
+        console.error('Install it with: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+/**
+ * SHA-1 of a file's bytes
+ * @param {string} filePath - Absolute path
+ * @returns {string} - Hex digest
+ */
+function fileHash(filePath) {
+    return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Perceptual difference hash of a photo as displayed (EXIF rotation applied)
+ * @param {Function} sharp - The sharp module
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string>} - 64-bit hash as 16 hex digits
+ */
+function perceptualHash(sharp, filePath) {
+    return sharp(filePath)
+        .rotate()
+        .greyscale()
+        .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer()
+        .then(pixels => {
+            let hash = BigInt(0);
+            for (let y = 0; y < HASH_HEIGHT; y++) {
+                for (let x = 0; x < HASH_WIDTH - 1; x++) {
+                    const left = pixels[y * HASH_WIDTH + x];
+                    const right = pixels[y * HASH_WIDTH + x + 1];
+                    hash = (hash << BigInt(1)) | BigInt(left > right ? 1 : 0);
+                }
+            }
+            return hash.toString(16).padStart(16, '0');
+        });
+}
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a - 16 hex digits
+ * @param {string} b - 16 hex digits
+ * @returns {number} - Hamming distance (0-64)
+ */
+function hashDistance(a, b) {
+    let diff = BigInt('0x' + a) ^ BigInt('0x' + b);
+    let bits = 0;
+    while (diff > BigInt(0)) {
+        bits += Number(diff & BigInt(1));
+        diff >>= BigInt(1);
+    }
+    return bits;
+}
+
+/**
+ * Group items into clusters of linked pairs (a near b, b near c -> one cluster)
+ * @param {Array} items - Anything
+ * @param {Function} linked - (a, b) => boolean
+ * @returns {Array} - Clusters of two or more items, in input order
+ */
+function cluster(items, linked) {
+    const parent = items.map((item, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            if (linked(items[i], items[j])) {
+                parent[find(j)] = find(i);
+            }
+        }
+    }
+
+    const groups = {};
+    items.forEach((item, index) => {
+        (groups[find(index)] = groups[find(index)] || []).push(item);
+    });
+    return Object.keys(groups).map(key => groups[key]).filter(group => group.length > 1);
+}
+
+/**
+ * Find files with identical bytes
+ * @param {string} dir - Absolute path to gallery/
+ * @param {Array} filenames - Photo filenames inside dir
+ * @returns {Array} - Clusters of filenames
+ */
+function findExactDuplicates(dir, filenames) {
+    const hashes = {};
+    filenames.forEach(filename => {
+        hashes[filename] = fileHash(path.join(dir, filename));
+    });
+    return cluster(filenames, (a, b) => hashes[a] === hashes[b]);
+}
+
+/**
+ * Find exact and near-duplicate photos
+ * @param {string} dir - Absolute path to gallery/
+ * @param {Array} filenames - Photo filenames inside dir
+ * @param {number} [maxDistance] - Largest hash distance that still counts as a duplicate
+ * @returns {Promise<Array>} - [{exact, files: [{filename, bytes, width, height, distance}]}]
+ *                             with distance measured from the first file
+ */
+function findDuplicates(dir, filenames, maxDistance) {
+    const sharp = loadSharp();
+    const limit = maxDistance === undefined ? NEAR_DUPLICATE_DISTANCE : maxDistance;
+    const photos = [];
+
+    // One photo at a time keeps memory bounded for multi-megapixel originals
+    return filenames.reduce((chain, filename) => chain.then(() => {
+        const filePath = path.join(dir, filename);
+        return perceptualHash(sharp, filePath).then(hash => {
+            const info = readImageInfo(filePath) || {};
+            photos.push({
+                filename: filename,
+                sha1: fileHash(filePath),
+                hash: hash,
+                bytes: fs.statSync(filePath).size,
+                width: info.width,
+                height: info.height
+            });
+        });
+    }), Promise.resolve()).then(() => {
+        return cluster(photos, (a, b) => a.sha1 === b.sha1 || hashDistance(a.hash, b.hash) <= limit)
+            .map(group => ({
+                exact: group.every(photo => photo.sha1 === group[0].sha1),
+                files: group.map(photo => ({
+                    filename: photo.filename,
+                    bytes: photo.bytes,
+                    width: photo.width,
+                    height: photo.height,
+                    distance: hashDistance(group[0].hash, photo.hash)
+                }))
+            }));
+    });
+}
+
+/**
+ * Find originals that are too heavy for the lightbox
+ * @param {string} dir - Absolute path to gallery/
+ * @param {Array} filenames - Photo filenames inside dir
+ * @returns {Array} - [{filename, reasons}]
+ */
+function findOversized(dir, filenames) {
+    const oversized = [];
+    filenames.forEach(filename => {
+        const filePath = path.join(dir, filename);
+        const bytes = fs.statSync(filePath).size;
+        const info = readImageInfo(filePath) || {};
+        const reasons = [];
+
+        if (bytes > MAX_ORIGINAL_BYTES) {
+            reasons.push(`${formatBytes(bytes)} (limit ${formatBytes(MAX_ORIGINAL_BYTES)})`);
+        }
+        if (Math.max(info.width || 0, info.height || 0) > MAX_ORIGINAL_SIDE) {
+            reasons.push(`${info.width}x${info.height} (limit ${MAX_ORIGINAL_SIDE}px on the long side)`);
+        }
+        if (reasons.length > 0) {
+            oversized.push({ filename: filename, reasons: reasons });
+        }
+    });
+    return oversized;
+}
+
+/**
+ * Format a byte count for reports
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "3.7 MB"
+ */
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024
+        ? (bytes / (1024 * 1024)).toFixed(1) + ' MB'
+        : Math.round(bytes / 1024) + ' KB';
+}
+
+module.exports = {
+    findExactDuplicates: findExactDuplicates,
+    findDuplicates: findDuplicates,
+    findOversized: findOversized,
+    formatBytes: formatBytes
+};
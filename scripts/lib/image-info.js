@@ -0,0 +1,195 @@
+/**
+ * image-info.js - Read image dimensions and capture dates from file headers
+ *
+ * Dependency-free so the manifest build runs with plain Node. Supports JPEG,
+ * PNG, GIF and WebP. JPEG EXIF orientation is honoured: a portrait phone photo
+ * stored as landscape pixels reports portrait dimensions, like browsers show it.
+ * The EXIF DateTimeOriginal of JPEGs is reported as a YYYY-MM-DD date.
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Read a 16/32-bit integer from an EXIF block with the block's byte order
+ * @param {Buffer} buffer - EXIF data (starting at the TIFF header)
+ * @param {number} offset - Byte offset
+ * @param {boolean} little - True for little-endian ("II") data
+ * @param {number} size - 2 or 4 bytes
+ * @returns {number} - Unsigned integer
+ */
+function readExifInt(buffer, offset, little, size) {
+    if (size === 2) {
+        return little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    }
+    return little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+}
+
+// EXIF tags we care about
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+
+/**
+ * Read the entries of one EXIF IFD into a {tag: entryOffset} map
+ * @param {Buffer} tiff - EXIF data starting at the TIFF header
+ * @param {number} ifdOffset - Offset of the IFD within tiff
+ * @param {boolean} little - True for little-endian data
+ * @returns {Object} - Entry offsets keyed by tag number
+ */
+function readIfd(tiff, ifdOffset, little) {
+    const entries = {};
+    if (ifdOffset + 2 > tiff.length) return entries;
+
+    const count = readExifInt(tiff, ifdOffset, little, 2);
+    for (let i = 0; i < count; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        entries[readExifInt(tiff, entry, little, 2)] = entry;
+    }
+    return entries;
+}
+
+/**
+ * Convert an EXIF ASCII date entry ("2025:08:14 18:30:00") to "2025-08-14"
+ * @param {Buffer} tiff - EXIF data starting at the TIFF header
+ * @param {number} entry - Offset of the IFD entry
+ * @param {boolean} little - True for little-endian data
+ * @returns {string|null} - ISO date or null when missing or blank
+ */
+function readExifDate(tiff, entry, little) {
+    const valueOffset = readExifInt(tiff, entry + 8, little, 4);
+    if (valueOffset + 19 > tiff.length) return null;
+
+    const match = tiff.toString('ascii', valueOffset, valueOffset + 19).match(/^(\d{4}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Read orientation and capture date from a JPEG APP1 EXIF segment
+ * @param {Buffer} tiff - Segment data starting at the TIFF header
+ * @returns {Object} - {orientation (1-8), date (YYYY-MM-DD or null)}
+ */
+function readExif(tiff) {
+    const result = { orientation: 1, date: null };
+    if (tiff.length < 8) return result;
+
+    const little = tiff.toString('ascii', 0, 2) === 'II';
+    const ifd0 = readIfd(tiff, readExifInt(tiff, 4, little, 4), little);
+
+    if (ifd0[TAG_ORIENTATION] !== undefined) {
+        result.orientation = readExifInt(tiff, ifd0[TAG_ORIENTATION] + 8, little, 2);
+    }
+
+    // Prefer the shutter time from the Exif sub-IFD; IFD0 DateTime is the last edit
+    if (ifd0[TAG_EXIF_IFD] !== undefined) {
+        const exifIfd = readIfd(tiff, readExifInt(tiff, ifd0[TAG_EXIF_IFD] + 8, little, 4), little);
+        if (exifIfd[TAG_DATETIME_ORIGINAL] !== undefined) {
+            result.date = readExifDate(tiff, exifIfd[TAG_DATETIME_ORIGINAL], little);
+        }
+    }
+    if (!result.date && ifd0[TAG_DATETIME] !== undefined) {
+        result.date = readExifDate(tiff, ifd0[TAG_DATETIME], little);
+    }
+
+    return result;
+}
+
+/**
+ * Read JPEG dimensions from the first SOF marker, plus EXIF details
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - {width, height, orientation, date} or null
+ */
+function readJpeg(buffer) {
+    let offset = 2;
+    let exif = { orientation: 1, date: null };
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+
+        if (marker === 0xE1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+            exif = readExif(buffer.subarray(offset + 10, offset + 2 + length));
+        }
+
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: buffer.readUInt16BE(offset + 5),
+                width: buffer.readUInt16BE(offset + 7),
+                orientation: exif.orientation,
+                date: exif.date
+            };
+        }
+
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Read WebP dimensions from the VP8, VP8L or VP8X chunk
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - {width, height} or null
+ */
+function readWebp(buffer) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+        return {
+            width: 1 + buffer.readUIntLE(24, 3),
+            height: 1 + buffer.readUIntLE(27, 3)
+        };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return {
+            width: 1 + (bits & 0x3FFF),
+            height: 1 + ((bits >> 14) & 0x3FFF)
+        };
+    }
+    if (chunk === 'VP8 ') {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3FFF,
+            height: buffer.readUInt16LE(28) & 0x3FFF
+        };
+    }
+    return null;
+}
+
+/**
+ * Read the displayed dimensions and capture date of an image file
+ * @param {string} filePath - Absolute path to the image
+ * @returns {Object|null} - {width, height, date} as displayed, or null if unreadable
+ */
+function readImageInfo(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    let size = null;
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        size = readJpeg(buffer);
+    } else if (buffer.toString('ascii', 1, 4) === 'PNG') {
+        size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    } else if (buffer.toString('ascii', 0, 3) === 'GIF') {
+        size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        size = readWebp(buffer);
+    }
+
+    if (!size) return null;
+
+    // Orientations 5-8 rotate the image by 90 degrees
+    const rotated = size.orientation >= 5;
+    return {
+        width: rotated ? size.height : size.width,
+        height: rotated ? size.width : size.height,
+        date: size.date || null
+    };
+}
+
+module.exports = {
+    readImageInfo: readImageInfo
+};
@@ -0,0 +1,286 @@
+/**
+ * image-variants.js - Responsive derivatives for gallery photos
+ *
+ * Produces several widths of every photo in AVIF, WebP and a JPEG/PNG fallback
+ * under gallery/derived/. Requires the "sharp" package, which is only needed
+ * on the machine that regenerates images:
+ *   npm install --no-save sharp
+ *
+ * Photos kept in gallery-private/ (see scripts/build-gallery.js) also get a
+ * full-size copy (<slug>-full.jpg) that the lightbox opens instead of the
+ * original, which is never served. Their blur regions ("blur" in
+ * gallery-private/metadata.json) are redacted before anything is encoded.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { slugify } = require('../../js/gallery-core');
+
+// Target widths in pixels; widths larger than the original are skipped
+const VARIANT_WIDTHS = [400, 800, 1600];
+
+// Blurred regions are shrunk to this fraction of their size first, so no
+// detail survives however the blur is undone
+const REDACT_SCALE = 1 / 16;
+const REDACT_SIGMA = 8;
+
+// Encoder settings per output format
+const FORMAT_OPTIONS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 },
+    jpg: { quality: 80, mozjpeg: true },
+    png: { compressionLevel: 9 }
+};
+
+/**
+ * Load sharp, explaining how to get it when it is missing
+ * @returns {Function} - The sharp module
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('Generating image variants needs the "sharp" package.');
+        console.error('Install it with: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+/**
+ * Pick the fallback format for a source image (PNG keeps transparency)
+ * @param {string} filename - Source filename
+ * @returns {string} - "png" or "jpg"
+ */
+function fallbackFormat(filename) {
+    return /\.png$/i.test(filename) ? 'png' : 'jpg';
+}
+
+/**
+ * Widths to generate for an image of the given displayed width
+ * @param {number} width - Original displayed width
+ * @returns {Array} - Widths in ascending order
+ */
+function variantWidths(width) {
+    const widths = VARIANT_WIDTHS.filter(w => w < width);
+    return widths.length > 0 ? widths : [width];
+}
+
+/**
+ * Filename of a private photo's full-size copy inside gallery/derived
+ * @param {string} filename - Original filename
+ * @returns {string} - e.g. "lablife-05-oct-2024-hiking-after-meetup-full.jpg"
+ */
+function fullSizeName(filename) {
+    return `${slugify(filename)}-full.${fallbackFormat(filename)}`;
+}
+
+/**
+ * Decode a photo with its blur regions redacted
+ * @param {Function} sharp - The sharp module
+ * @param {string} sourcePath - Absolute path to the original
+ * @param {Array} regions - {x, y, width, height} rectangles in displayed pixels (may be empty)
+ * @returns {Promise<Object>} - Resolves with a sharp instance of the redacted pixels
+ */
+function redact(sharp, sourcePath, regions) {
+    if (regions.length === 0) {
+        return sharp(sourcePath).rotate().png().toBuffer().then(buffer => sharp(buffer));
+    }
+    return sharp(sourcePath).rotate().raw().toBuffer({ resolveWithObject: true })
+        .then(({ data, info }) => {
+            const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+            const patches = regions.map(region => {
+                // Regions are validated against the displayed size; rounding may overshoot by a pixel
+                const left = Math.round(region.x);
+                const top = Math.round(region.y);
+                const box = {
+                    left: left,
+                    top: top,
+                    width: Math.max(1, Math.min(Math.round(region.width), info.width - left)),
+                    height: Math.max(1, Math.min(Math.round(region.height), info.height - top))
+                };
+                return sharp(data, raw).extract(box)
+                    .resize({ width: Math.max(1, Math.round(box.width * REDACT_SCALE)) })
+                    .toBuffer()
+                    .then(small => sharp(small).resize({ width: box.width, height: box.height, fit: 'fill' }).blur(REDACT_SIGMA).raw().toBuffer())
+                    .then(patch => ({ input: patch, raw: { width: box.width, height: box.height, channels: info.channels }, left: box.left, top: box.top }));
+            });
+            return Promise.all(patches)
+                .then(composites => sharp(data, raw).composite(composites).png().toBuffer())
+                .then(buffer => sharp(buffer));
+        });
+}
+
+/**
+ * Generate the derivatives of one photo, skipping files that are up to date
+ * @param {string} sourcePath - Absolute path to the original
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {Object} size - {width, height} of the original as displayed
+ * @param {Object} [redaction] - {regions, changed} for a photo from gallery-private/: blur
+ *                               rectangles (possibly none) and when they were last edited (ms)
+ * @returns {Promise<Array>} - Resolves with the output filenames (written or reused)
+ */
+function generateVariants(sourcePath, outDir, size, redaction) {
+    const sharp = loadSharp();
+    const filename = path.basename(sourcePath);
+    const slug = slugify(filename);
+    const formats = ['avif', 'webp', fallbackFormat(filename)];
+    // Private copies also go stale when the regions change
+    const sourceTime = Math.max(fs.statSync(sourcePath).mtimeMs, redaction ? redaction.changed : 0);
+    const isCurrent = outPath => fs.existsSync(outPath) && fs.statSync(outPath).mtimeMs >= sourceTime;
+
+    if (!redaction) {
+        const source = sharp(sourcePath).rotate(); // apply EXIF orientation
+        return encodeVariants(source, outDir, slug, formats, size, isCurrent);
+    }
+
+    const fullName = fullSizeName(filename);
+    const outputs = variantWidths(size.width)
+        .map(width => formats.map(format => path.join(outDir, `${slug}-${width}.${format}`)))
+        .reduce((all, paths) => all.concat(paths), [path.join(outDir, fullName)]);
+    if (outputs.every(isCurrent)) {
+        return Promise.resolve(outputs.map(outPath => path.basename(outPath)));
+    }
+
+    // Re-encode everything: a stale copy could still show the unblurred photo
+    return redact(sharp, sourcePath, redaction.regions).then(source => {
+        const fallback = fallbackFormat(filename);
+        const encoder = fallback === 'jpg' ? 'jpeg' : fallback;
+        return source.clone()[encoder](FORMAT_OPTIONS[fallback]).toFile(path.join(outDir, fullName))
+            .then(() => encodeVariants(source, outDir, slug, formats, size, () => false))
+            .then(names => [fullName].concat(names));
+    });
+}
+
+/**
+ * Encode every width and format of one photo
+ * @param {Object} source - sharp instance of the photo as displayed
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {string} slug - Photo slug
+ * @param {Array} formats - Output formats
+ * @param {Object} size - {width, height} of the original as displayed
+ * @param {Function} isCurrent - Whether an existing output file can be reused
+ * @returns {Promise<Array>} - Resolves with the output filenames (written or reused)
+ */
+function encodeVariants(source, outDir, slug, formats, size, isCurrent) {
+    const jobs = [];
+
+    variantWidths(size.width).forEach(width => {
+        formats.forEach(format => {
+            const outName = `${slug}-${width}.${format}`;
+            const outPath = path.join(outDir, outName);
+
+            if (isCurrent(outPath)) {
+                jobs.push(Promise.resolve(outName));
+                return;
+            }
+
+            const encoder = format === 'jpg' ? 'jpeg' : format;
+            jobs.push(
+                source.clone()
+                    .resize({ width: width, withoutEnlargement: true })
+                    [encoder](FORMAT_OPTIONS[format])
+                    .toFile(outPath)
+                    .then(() => outName)
+            );
+        });
+    });
+
+    return Promise.all(jobs);
+}
+
+/**
+ * Remove derivatives that no longer belong to any photo
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {Set} keep - Filenames to keep
+ * @returns {Array} - Removed filenames
+ */
+function removeStaleVariants(outDir, keep) {
+    const removed = [];
+    fs.readdirSync(outDir).forEach(name => {
+        if (!name.startsWith('.') && !keep.has(name)) {
+            fs.unlinkSync(path.join(outDir, name));
+            removed.push(name);
+        }
+    });
+    return removed;
+}
+
+/**
+ * Check that the copies of a private photo exist and are newer than both the
+ * original and the last edit of its blur regions
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {string} sourcePath - Absolute path to the original
+ * @param {number} changed - When the blur regions were last edited (ms)
+ * @returns {boolean} - True when the full-size copy and every variant are current
+ */
+function hasCurrentRedaction(outDir, sourcePath, changed) {
+    const filename = path.basename(sourcePath);
+    const variants = findVariants(outDir, filename);
+    const fullPath = path.join(outDir, fullSizeName(filename));
+    if (!variants || !fs.existsSync(fullPath)) return false;
+
+    const since = Math.max(fs.statSync(sourcePath).mtimeMs, changed);
+    const slug = slugify(filename);
+    const outputs = [fullPath];
+    variants.widths.forEach(width => {
+        variants.formats.forEach(format => outputs.push(path.join(outDir, `${slug}-${width}.${format}`)));
+    });
+    return outputs.every(outPath => fs.statSync(outPath).mtimeMs >= since);
+}
+
+/**
+ * Find the full-size copy of a private photo
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {string} filename - Original filename
+ * @returns {string|null} - Path relative to gallery/ or null when there is none
+ */
+function findFullSize(outDir, filename) {
+    const name = fullSizeName(filename);
+    return fs.existsSync(path.join(outDir, name)) ? 'derived/' + name : null;
+}
+
+/**
+ * List the derivatives already on disk for a photo
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {string} filename - Original filename
+ * @returns {Object|null} - {base, widths, formats} or null when there are none
+ */
+function findVariants(outDir, filename) {
+    if (!fs.existsSync(outDir)) return null;
+
+    const slug = slugify(filename);
+    const pattern = new RegExp('^' + slug + '-(\\d+)\\.(avif|webp|jpg|png)$');
+    const byFormat = {};
+
+    fs.readdirSync(outDir).forEach(name => {
+        const match = name.match(pattern);
+        if (!match) return;
+        (byFormat[match[2]] = byFormat[match[2]] || []).push(parseInt(match[1], 10));
+    });
+
+    const formats = ['avif', 'webp', fallbackFormat(filename)].filter(format => byFormat[format]);
+    if (!formats.includes(fallbackFormat(filename))) return null;
+
+    // Only advertise widths that exist in every format
+    const widths = byFormat[formats[0]]
+        .filter(width => formats.every(format => byFormat[format].includes(width)))
+        .sort((a, b) => a - b);
+
+    if (widths.length === 0) return null;
+
+    return {
+        base: 'derived/' + slug,
+        widths: widths,
+        formats: formats
+    };
+}
+
+module.exports = {
+    generateVariants: generateVariants,
+    removeStaleVariants: removeStaleVariants,
+    findVariants: findVariants,
+    findFullSize: findFullSize,
+    hasCurrentRedaction: hasCurrentRedaction
+};
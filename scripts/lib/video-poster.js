@@ -0,0 +1,89 @@
+/**
+ * video-poster.js - Poster frames for gallery video clips
+ *
+ * Grabs one frame of every .mp4/.webm clip into gallery/derived/ so the grid
+ * shows a still without downloading the video. Requires the ffmpeg binary,
+ * which is only needed on the machine that regenerates images:
+ *   https://ffmpeg.org/download.html (or: brew/apt install ffmpeg)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { slugify } = require('../../js/gallery-core');
+
+// Seconds into the clip to take the frame from (skips black lead-in frames)
+const POSTER_OFFSET = 1;
+
+// Poster width in pixels, enough for the grid and the timeline
+const POSTER_WIDTH = 800;
+
+/**
+ * Filename of a clip's poster inside gallery/derived
+ * @param {string} filename - Video filename
+ * @returns {string} - e.g. "conference-08-jul-2025-icml-oral-poster.jpg"
+ */
+function posterName(filename) {
+    return slugify(filename) + '-poster.jpg';
+}
+
+/**
+ * Run ffmpeg, explaining how to get it when it is missing
+ * @param {Array} args - Command line arguments
+ * @returns {Object} - spawnSync result
+ */
+function runFfmpeg(args) {
+    const result = spawnSync('ffmpeg', args, { encoding: 'utf8' });
+    if (result.error && result.error.code === 'ENOENT') {
+        console.error('Extracting video poster frames needs ffmpeg.');
+        console.error('Install it from https://ffmpeg.org/download.html');
+        process.exit(1);
+    }
+    return result;
+}
+
+/**
+ * Extract the poster frame of one clip, skipping posters that are up to date
+ * @param {string} sourcePath - Absolute path to the clip
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @returns {string} - Poster filename (written or reused)
+ */
+function generatePoster(sourcePath, outDir) {
+    const outName = posterName(path.basename(sourcePath));
+    const outPath = path.join(outDir, outName);
+
+    if (fs.existsSync(outPath) && fs.statSync(outPath).mtimeMs >= fs.statSync(sourcePath).mtimeMs) {
+        return outName;
+    }
+
+    const frameArgs = ['-frames:v', '1', '-vf', `scale='min(${POSTER_WIDTH},iw)':-2`, '-q:v', '3', outPath];
+    let result = runFfmpeg(['-y', '-loglevel', 'error', '-ss', String(POSTER_OFFSET), '-i', sourcePath].concat(frameArgs));
+
+    // Clips shorter than the offset produce no frame; fall back to the first one
+    if (result.status !== 0 || !fs.existsSync(outPath)) {
+        result = runFfmpeg(['-y', '-loglevel', 'error', '-i', sourcePath].concat(frameArgs));
+    }
+    if (result.status !== 0 || !fs.existsSync(outPath)) {
+        throw new Error(`ffmpeg could not read ${path.basename(sourcePath)}: ${(result.stderr || '').trim()}`);
+    }
+
+    return outName;
+}
+
+/**
+ * Find the poster already on disk for a clip
+ * @param {string} outDir - Absolute path to gallery/derived
+ * @param {string} filename - Video filename
+ * @returns {string|null} - Path relative to gallery/ or null when there is none
+ */
+function findPoster(outDir, filename) {
+    const name = posterName(filename);
+    return fs.existsSync(path.join(outDir, name)) ? 'derived/' + name : null;
+}
+
+module.exports = {
+    generatePoster: generatePoster,
+    findPoster: findPoster
+};
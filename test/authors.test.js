@@ -0,0 +1,101 @@
+/**
+ * Tests for recognizing lab members in author lists (js/authors.js).
+ * Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const authors = require('../js/authors');
+
+// Roster members as js/roster.js reads them from group.html
+const ROSTER = [
+    { id: 'tianlong-chen', name: 'Tianlong Chen', url: '', pi: true, alumni: false, since: null, until: null },
+    { id: 'pingzhi-li', name: 'Pingzhi Li', url: '', pi: false, alumni: false, since: 2024, until: null },
+    { id: 'yuhang-chen', name: 'Yuhang Chen', url: '', pi: false, alumni: false, since: 2025, until: null },
+    { id: 'ruichen-zhang', name: 'Ruichen Zhang', url: '', pi: false, alumni: false, since: 2026, until: null },
+    { id: 'zhuoxuan-zhang', name: 'Zhuoxuan Zhang', url: '', pi: false, alumni: false, since: 2026, until: null },
+    { id: 'haochen-zhang', name: 'Haochen Zhang', url: '', pi: false, alumni: false, since: 2026, until: null },
+    { id: 'rana-khan', name: 'Rana Muhammad Shahroz Khan', url: '', pi: false, alumni: false, since: 2024, until: null },
+    { id: 'sukwon-yun', name: 'Sukwon Yun', url: '', pi: false, alumni: true, since: 2024, until: 2025 },
+    { id: 'yu-chao-huang', name: 'Yu-Chao Huang', url: '', pi: false, alumni: false, since: 2025, until: null },
+    { id: 'yi-huang', name: 'Yi Huang', url: '', pi: false, alumni: false, since: 2025, until: null }
+];
+
+const ENTRIES = {
+    'rana-khan': { aliases: ['R Khan', 'R Shahroz Khan'] },
+    'haochen-zhang': { positions: { 'early-work': 2 } },
+    'pingzhi-li': { not: ['someone-else'] },
+    'jane-doe': { name: 'Jane Doe', url: 'https://example.org/jane', aliases: ['J Doe'], since: 2020, until: 2022 }
+};
+
+const REGISTRY = authors.buildRegistry(ROSTER, ENTRIES);
+
+/**
+ * Ids of the members found in an author list
+ * @param {Object} paper - {id, year, authors}
+ * @returns {Array} - Member id or null per author
+ */
+function resolve(paper) {
+    return authors.resolveAuthors(paper, REGISTRY).map(person => (person ? person.id : null));
+}
+
+test('authorKey ignores stars, nicknames and case', () => {
+    assert.equal(authors.authorKey('Y (Katie) Zhao*'), 'y zhao');
+    assert.equal(authors.authorKey('P   Li**'), 'p li');
+});
+
+test('default spellings match papers from the member\'s time in the lab', () => {
+    assert.deepEqual(resolve({ id: 'eqa-rm', year: 2025, authors: ['Y Chen', 'P Li*', 'T Chen'] }),
+        ['yuhang-chen', 'pingzhi-li', 'tianlong-chen']);
+});
+
+test('default spellings do not match papers from before the member joined', () => {
+    assert.deepEqual(resolve({ id: 'gtbench', year: 2024, authors: ['J Duan*', 'R Zhang*', 'T Chen'] }),
+        [null, null, 'tianlong-chen']);
+    assert.deepEqual(resolve({ id: 'beyond-accuracy', year: 2024, authors: ['Y Chen', 'T Chen'] }), [null, 'tianlong-chen']);
+    assert.deepEqual(resolve({ id: 'merge-then-compress', year: 2024, authors: ['P Li', 'Z Zhang', 'T Chen'] }),
+        ['pingzhi-li', null, 'tianlong-chen']);
+    assert.deepEqual(resolve({ id: 'bpo', year: 2025, authors: ['H Zhang', 'T Chen'] }), [null, 'tianlong-chen']);
+});
+
+test('default spellings do not match papers from after a member left', () => {
+    assert.deepEqual(resolve({ id: 'mew', year: 2025, authors: ['S Yun'] }), ['sukwon-yun']);
+    assert.deepEqual(resolve({ id: 'later', year: 2026, authors: ['S Yun'] }), [null]);
+});
+
+test('undated papers only match members without dates', () => {
+    assert.deepEqual(resolve({ id: 'grover', authors: ['P Li', 'T Chen'] }), [null, 'tianlong-chen']);
+});
+
+test('explicit aliases and positions count on every paper', () => {
+    assert.deepEqual(resolve({ id: 'portllm', year: 2023, authors: ['R Shahroz Khan', 'P Li'] }), ['rana-khan', null]);
+    assert.deepEqual(resolve({ id: 'early-work', year: 2023, authors: ['A Author', 'H Zhang'] }), [null, 'haochen-zhang']);
+    assert.deepEqual(resolve({ id: 'old-paper', year: 2021, authors: ['J Doe'] }), ['jane-doe']);
+});
+
+test('names shared by two members, listed twice or excluded stay unmatched', () => {
+    // "Y Huang" fits Yu-Chao Huang and Yi Huang; "YC Huang" only the first
+    assert.deepEqual(resolve({ id: 'shared', year: 2025, authors: ['Y Huang', 'YC Huang'] }), [null, 'yu-chao-huang']);
+    assert.deepEqual(resolve({ id: 'twice', year: 2025, authors: ['P Li', 'P Li'] }), [null, null]);
+    assert.deepEqual(resolve({ id: 'someone-else', year: 2025, authors: ['P Li'] }), [null]);
+});
+
+test('buildRegistry adds former members from data/authors.json with their roles', () => {
+    const jane = REGISTRY.people.find(person => person.id === 'jane-doe');
+    const roles = id => REGISTRY.people.find(person => person.id === id).role;
+
+    assert.deepEqual(jane, {
+        id: 'jane-doe',
+        name: 'Jane Doe',
+        url: 'https://example.org/jane',
+        link: 'https://example.org/jane',
+        role: 'alumni',
+        since: 2020,
+        until: 2022
+    });
+    assert.equal(roles('tianlong-chen'), 'pi');
+    assert.equal(roles('sukwon-yun'), 'alumni');
+    assert.equal(roles('pingzhi-li'), 'member');
+});
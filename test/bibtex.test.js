@@ -0,0 +1,193 @@
+/**
+ * Tests for reading .bib files into paper records and writing records back
+ * as BibTeX (js/bibtex.js). Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bibtex = require('../js/bibtex');
+
+/**
+ * Parse a single .bib entry into a paper record
+ * @param {string} source - BibTeX source with one entry
+ * @returns {Object} - Record from toPaper()
+ */
+function importOne(source) {
+    const entries = bibtex.parse(source);
+    assert.equal(entries.length, 1);
+    return bibtex.toPaper(entries[0]);
+}
+
+test('decodeLaTeX turns accents, braces and dashes into plain text', () => {
+    assert.equal(bibtex.decodeLaTeX(String.raw`Schr{\"o}dinger's \emph{cat} -- revisited`), 'Schrödinger\'s cat – revisited');
+    assert.equal(bibtex.decodeLaTeX(String.raw`{\'E}tienne Jos\'{e} \v{S}imi\'c`), 'Étienne José Šimić');
+    assert.equal(bibtex.decodeLaTeX(String.raw`Stra{\ss}e, {\o}re and na\"{\i}ve`), 'Straße, øre and naïve');
+    assert.equal(bibtex.decodeLaTeX(String.raw`{MoE} \& {LLMs}: 100\% \{sparse\}`), 'MoE & LLMs: 100% {sparse}');
+});
+
+test('splitAuthors reads "First Last" and "Last, First" names joined with and', () => {
+    const names = bibtex.splitAuthors(String.raw`Mingyu Zhang and M{\"u}ller, Jos{\'e} and van der Berg, Anna and {UNITES Lab} and others`);
+
+    assert.deepEqual(names.map(bibtex.formatAuthor), ['M Zhang', 'J Müller', 'A van der Berg', 'UNITES Lab', 'et al.']);
+    assert.deepEqual(names[2], { first: 'Anna', von: 'van der', last: 'Berg', jr: '' });
+});
+
+test('splitAuthors keeps "and" inside braces and hyphenated first names', () => {
+    const names = bibtex.splitAuthors('{Research and Development Team} and Jean-Luc Picard and Smith, Jr, John');
+
+    assert.deepEqual(names.map(bibtex.formatAuthor), ['Research and Development Team', 'JL Picard', 'J Smith Jr']);
+});
+
+test('parse expands @string macros, # concatenation and months', () => {
+    const entries = bibtex.parse(String.raw`
+        @string{icml = "International Conference on Machine Learning"}
+        @comment{Not an entry}
+        @inproceedings{li2025moe,
+            title = {{MoE} Routing},
+            author = "Pingzhi Li and Tianlong Chen",
+            booktitle = icml # " (ICML)",
+            year = 2025,
+            month = jul
+        }
+    `);
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].key, 'li2025moe');
+    assert.deepEqual(entries[0].fields, {
+        title: '{MoE} Routing',
+        author: 'Pingzhi Li and Tianlong Chen',
+        booktitle: 'International Conference on Machine Learning (ICML)',
+        year: '2025',
+        month: 'July'
+    });
+});
+
+test('parse reports malformed entries with their line', () => {
+    assert.throws(() => bibtex.parse('@inproceedings{a,\n  title = {Open'), /Line 2: unbalanced braces/);
+    assert.throws(() => bibtex.parse('@misc{a,\n  booktitle = nips\n}'), /Line 2: unknown @string "nips"/);
+});
+
+test('toPaper maps a conference entry to a record', () => {
+    const paper = importOne(String.raw`
+        @inproceedings{zhang2025advancing,
+            title = {Advancing {MoE} Efficiency: A Collaboration-Constrained Routing ({C2R}) Strategy},
+            author = {Zhang, Mingyu and Li, Pingzhi and Chen, Tianlong},
+            booktitle = {Proceedings of the 2025 Conference of the Nations of the Americas Chapter of the Association for Computational Linguistics},
+            year = {2025}
+        }
+    `);
+
+    assert.equal(paper.id, 'advancing-moe-efficiency');
+    assert.equal(paper.title, 'Advancing MoE Efficiency: A Collaboration-Constrained Routing (C2R) Strategy');
+    assert.deepEqual(paper.authors, ['M Zhang', 'P Li', 'T Chen']);
+    assert.equal(paper.venue, 'NAACL');
+    assert.equal(paper.year, 2025);
+    assert.equal(paper.status, 'published');
+    assert.match(paper.bibtex, /^@inproceedings\{zhang2025advancing,/);
+});
+
+test('toPaper turns a Findings booktitle into its venue with a note', () => {
+    const paper = importOne(String.raw`
+        @inproceedings{li2025findings,
+            title = {A Findings Paper},
+            author = {Pingzhi Li},
+            booktitle = {Findings of the Association for Computational Linguistics: EMNLP 2025},
+            year = {2025}
+        }
+    `);
+
+    assert.equal(paper.venue, 'EMNLP');
+    assert.equal(paper.note, 'Findings');
+});
+
+test('toPaper lists arXiv @misc entries as preprints with their abstract page', () => {
+    const paper = importOne(String.raw`
+        @misc{chen2025preprint,
+            title = {An arXiv Preprint},
+            author = {Chen, Tianlong},
+            eprint = {2501.01234},
+            archivePrefix = {arXiv},
+            primaryClass = {cs.LG},
+            year = {2025}
+        }
+    `);
+
+    assert.equal(paper.venue, 'arXiv');
+    assert.equal(paper.status, 'preprint');
+    assert.deepEqual(paper.links, { paper: 'https://arxiv.org/abs/2501.01234' });
+});
+
+test('toPaper marks forthcoming papers as accepted', () => {
+    const paper = importOne('@inproceedings{a, title={T}, author={A B}, booktitle={ICLR}, year={2026}, note={To appear}}');
+
+    assert.equal(paper.venue, 'ICLR');
+    assert.equal(paper.status, 'accepted');
+});
+
+test('fromPaper writes surname-first names and an alphanumeric key', () => {
+    const entry = bibtex.fromPaper({
+        title: 'Hello-World: A Test of Keys',
+        authors: ['R Shahroz Khan*', 'LJ Aguirre Lopez', 'Y (Katie) Zhao', 'M Zhang'],
+        venue: 'ICML',
+        year: 2024
+    });
+
+    assert.equal(entry.type, 'inproceedings');
+    assert.equal(entry.key, 'khan2024helloworld');
+    assert.equal(entry.fields.author, 'Khan, R. Shahroz and Lopez, L. J. Aguirre and Zhao, Y. (Katie) and Zhang, M.');
+    assert.equal(entry.fields.booktitle, 'International Conference on Machine Learning');
+});
+
+test('fromPaper keys ignore accents and punctuation', () => {
+    const entry = bibtex.fromPaper({ title: 'On the Über-Model', authors: ['J Lopez-García'], venue: 'ICML', year: 2025 });
+
+    assert.equal(entry.key, 'lopezgarcia2025ubermodel');
+    assert.match(entry.key, /^[a-z0-9]+$/);
+});
+
+test('fromPaper handles Findings, journals, preprints and truncated author lists', () => {
+    const findings = bibtex.fromPaper({ title: 'Findings Paper', authors: ['P Li'], venue: 'EMNLP', year: 2025, note: 'Findings' });
+    const journal = bibtex.fromPaper({ title: 'Clinical Notes', authors: ['P Li', '...'], venue: 'JAMIA', year: 2024 });
+    const preprint = bibtex.fromPaper({
+        title: 'A Preprint',
+        authors: ['T Chen'],
+        venue: 'arXiv',
+        year: 2025,
+        links: { paper: 'https://arxiv.org/abs/2501.01234v2' }
+    });
+
+    assert.equal(findings.fields.booktitle, 'Findings of the Association for Computational Linguistics: EMNLP 2025');
+    assert.equal(findings.fields.note, undefined);
+    assert.equal(journal.type, 'article');
+    assert.equal(journal.fields.journal, 'Journal of the American Medical Informatics Association');
+    assert.equal(journal.fields.author, 'Li, P. and others');
+    assert.equal(preprint.type, 'misc');
+    assert.equal(preprint.fields.eprint, '2501.01234');
+});
+
+test('citationFor prefers the imported entry and otherwise builds one', () => {
+    const paper = { title: 'Sparse & Fast', authors: ['M Zhang*', 'T Chen'], venue: 'NeurIPS', year: 2024, note: 'Spotlight' };
+
+    assert.equal(bibtex.citationFor(Object.assign({ bibtex: '@misc{kept}' }, paper)), '@misc{kept}');
+    assert.equal(bibtex.citationFor(paper), [
+        '@inproceedings{zhang2024sparse,',
+        '  title = {Sparse \\& Fast},',
+        '  author = {Zhang, M. and Chen, T.},',
+        '  booktitle = {Advances in Neural Information Processing Systems},',
+        '  year = {2024},',
+        '  note = {Spotlight}',
+        '}'
+    ].join('\n'));
+});
+
+test('a built entry reads back as the same paper', () => {
+    const paper = { title: 'Round Trip', authors: ['M Zhang', 'LJ Lopez'], venue: 'ICLR', year: 2025 };
+    const imported = importOne(bibtex.citationFor(paper));
+
+    assert.equal(imported.title, paper.title);
+    assert.equal(imported.venue, 'ICLR');
+    assert.equal(imported.year, 2025);
+    assert.deepEqual(imported.authors, ['M Zhang', 'LJ Lopez']);
+});
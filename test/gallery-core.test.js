@@ -0,0 +1,243 @@
+/**
+ * Tests for the filename, date, grouping, search and layout logic of
+ * js/gallery-core.js. Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const galleryCore = require('../js/gallery-core');
+
+const CATEGORIES = galleryCore.parseCategories({
+    conference: { title: 'Conference Moments', sort: 2 },
+    lablife: { title: 'Lab Life', anchor: 'lab-life', sort: 1 },
+    retreat: { title: 'Retreats', visible: false }
+}, false);
+
+test('parseFilename splits category, order and description', () => {
+    const parsed = galleryCore.parseFilename('conference_01_ICML 2025 Poster Session.jpg');
+
+    assert.equal(parsed.category, 'conference');
+    assert.equal(parsed.order, 1);
+    assert.equal(parsed.description, 'ICML 2025 Poster Session');
+    assert.equal(parsed.media, 'image');
+    assert.equal(parsed.dateInfo, null);
+});
+
+test('parseFilename keeps underscores inside the description', () => {
+    const parsed = galleryCore.parseFilename('LabLife_03_Lunch_with friends.JPG');
+
+    assert.equal(parsed.category, 'lablife');
+    assert.equal(parsed.description, 'Lunch_with friends');
+});
+
+test('parseFilename rejects names without category and order', t => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.equal(galleryCore.parseFilename('photo.jpg'), null);
+    assert.equal(galleryCore.parseFilename('conference_photo.jpg'), null);
+});
+
+test('parseFilename detects clips and YouTube talks', () => {
+    const talk = 'conference_08_Jul 2025 - ICML Oral Talk.youtube';
+    const parsed = galleryCore.parseFilename(talk, {}, { [talk]: { youtube: 'abc123' } });
+
+    assert.equal(parsed.media, 'youtube');
+    assert.equal(parsed.youtube, 'abc123');
+    assert.equal(parsed.description, 'Jul 2025 - ICML Oral Talk');
+    assert.equal(parsed.event, 'ICML Oral Talk');
+    assert.equal(galleryCore.parseFilename('lablife_02_Boat ride.mp4').media, 'video');
+});
+
+test('parseFilename prefers metadata over the filename', () => {
+    const filename = 'conference_02_Aug 2024 - Poster.jpg';
+    const parsed = galleryCore.parseFilename(filename, {
+        [filename]: {
+            description: 'Our poster',
+            date: '2024-12-11',
+            event: 'NeurIPS 2024',
+            people: ['pingzhi-li'],
+            paper: 'model-glue'
+        }
+    });
+
+    assert.equal(parsed.description, 'Our poster');
+    assert.deepEqual([parsed.dateInfo.year, parsed.dateInfo.month, parsed.dateInfo.day], [2024, 11, 11]);
+    assert.equal(parsed.event, 'NeurIPS 2024');
+    assert.deepEqual(parsed.people, ['pingzhi-li']);
+    assert.equal(parsed.paper, 'model-glue');
+});
+
+test('parseFilename only sets an album from the "album" field', () => {
+    const filename = 'conference_03_Dinner.jpg';
+
+    assert.equal(galleryCore.parseFilename(filename, { [filename]: { event: 'NeurIPS 2024' } }).album, '');
+    assert.equal(galleryCore.parseFilename(filename, { [filename]: { album: 'NeurIPS Trip' } }).album, 'NeurIPS Trip');
+});
+
+test('parseFilename falls back to the EXIF date of the manifest', () => {
+    const filename = 'lablife_04_Team lunch.jpg';
+    const parsed = galleryCore.parseFilename(filename, {}, { [filename]: { date: '2023-05-20' } });
+
+    assert.deepEqual([parsed.dateInfo.year, parsed.dateInfo.month, parsed.dateInfo.day], [2023, 4, 20]);
+});
+
+test('parseIsoDate reads full dates and months', () => {
+    assert.deepEqual(galleryCore.parseIsoDate('2024-12-06', 'NeurIPS'), {
+        year: 2024,
+        month: 11,
+        day: 6,
+        monthName: 'Dec',
+        event: 'NeurIPS'
+    });
+    assert.equal(galleryCore.parseIsoDate('2024-12', '').day, null);
+});
+
+test('parseIsoDate rejects impossible and malformed dates', () => {
+    assert.equal(galleryCore.parseIsoDate('2025-02-30', ''), null);
+    assert.equal(galleryCore.parseIsoDate('2025-02-29', ''), null);
+    assert.equal(galleryCore.parseIsoDate('2024-04-31', ''), null);
+    assert.equal(galleryCore.parseIsoDate('2024-12-00', ''), null);
+    assert.equal(galleryCore.parseIsoDate('2024-13', ''), null);
+    assert.equal(galleryCore.parseIsoDate('Dec 2024', ''), null);
+    assert.equal(galleryCore.parseIsoDate('2024-02-29', '').day, 29);
+});
+
+test('parseDateFromDescription strips a leading date from the event', () => {
+    const dateInfo = galleryCore.parseDateFromDescription('Aug 2024 - First Lab Dinner');
+
+    assert.deepEqual([dateInfo.year, dateInfo.month, dateInfo.day], [2024, 7, null]);
+    assert.equal(dateInfo.event, 'First Lab Dinner');
+});
+
+test('parseDateFromDescription reads ISO dates inside the text', () => {
+    const dateInfo = galleryCore.parseDateFromDescription('Retreat 2025-08-14');
+
+    assert.deepEqual([dateInfo.year, dateInfo.month, dateInfo.day], [2025, 7, 14]);
+    assert.equal(dateInfo.event, 'Retreat 2025-08-14');
+});
+
+test('parseDateFromDescription places ranges at their start', () => {
+    const days = galleryCore.parseDateFromDescription('Dec 10-15, 2024 - NeurIPS');
+    const months = galleryCore.parseDateFromDescription('Aug-Sep 2025 Summer Visit');
+
+    assert.deepEqual([days.year, days.month, days.day, days.event], [2024, 11, 10, 'NeurIPS']);
+    assert.deepEqual([months.year, months.month], [2025, 7]);
+});
+
+test('parseDateFromDescription maps seasons to their first month', () => {
+    assert.equal(galleryCore.parseDateFromDescription('Fall 2024 Picnic').month, 8);
+    assert.equal(galleryCore.parseDateFromDescription('Spring 2025 Hike').month, 2);
+    assert.equal(galleryCore.parseDateFromDescription('Winter 2025 Party').month, 0);
+});
+
+test('parseDateFromDescription leaves undated and impossible dates out', () => {
+    assert.equal(galleryCore.parseDateFromDescription('Lab Lunch'), null);
+    assert.equal(galleryCore.parseDateFromDescription('Feb 30, 2025 - Party'), null);
+    assert.equal(galleryCore.parseDateFromDescription('Retreat 2025-02-30'), null);
+});
+
+test('groupByCategory sorts each section by order and drops hidden or unknown prefixes', () => {
+    const grouped = galleryCore.groupByCategory([
+        'conference_02_Poster.jpg',
+        'lablife_01_Lunch.jpg',
+        'conference_01_Keynote.jpg',
+        'retreat_01_Hike.jpg',
+        'misc_01_Unsorted.jpg'
+    ], {}, {}, CATEGORIES);
+
+    assert.deepEqual(Object.keys(grouped), ['lablife', 'conference']);
+    assert.deepEqual(grouped.conference.map(item => item.filename), ['conference_01_Keynote.jpg', 'conference_02_Poster.jpg']);
+    assert.deepEqual(grouped.lablife.map(item => item.filename), ['lablife_01_Lunch.jpg']);
+});
+
+test('groupByCategory collects unknown prefixes under Uncategorized in preview mode', () => {
+    const preview = galleryCore.parseCategories({ conference: { title: 'Conference Moments' } }, true);
+    const grouped = galleryCore.groupByCategory(['conference_01_Keynote.jpg', 'misc_01_Unsorted.jpg'], {}, {}, preview);
+
+    assert.deepEqual(grouped[galleryCore.UNCATEGORIZED].map(item => item.filename), ['misc_01_Unsorted.jpg']);
+});
+
+test('groupByYearMonth files photos by year and month, undated ones apart', () => {
+    const grouped = galleryCore.groupByYearMonth([
+        'lablife_01_Aug 2024 - Dinner.jpg',
+        'lablife_02_Aug 2024 - Lunch.jpg',
+        'conference_01_Dec 2024 - NeurIPS.jpg',
+        'conference_02_Keynote.jpg',
+        'retreat_01_Aug 2024 - Hike.jpg'
+    ], {}, {}, CATEGORIES);
+
+    assert.deepEqual(Object.keys(grouped).sort(), ['2024', galleryCore.UNDATED]);
+    assert.deepEqual(Object.keys(grouped[2024]), ['7', '11']);
+    assert.equal(grouped[2024][7].length, 2);
+    assert.deepEqual(grouped[galleryCore.UNDATED].map(item => item.filename), ['conference_02_Keynote.jpg']);
+});
+
+test('groupByYearMonth collapses albums but not photos that only share an event', () => {
+    const metadata = {
+        'conference_01_Poster.jpg': { date: '2024-12-11', album: 'NeurIPS 2024 Trip' },
+        'conference_02_Dinner.jpg': { date: '2024-12-10', album: 'NeurIPS 2024 Trip' },
+        'conference_03_Talk.jpg': { date: '2024-12-12', event: 'NeurIPS 2024' },
+        'conference_04_Booth.jpg': { date: '2024-12-12', event: 'NeurIPS 2024' }
+    };
+    const entries = galleryCore.groupByYearMonth(Object.keys(metadata), metadata, {}, CATEGORIES)[2024][11];
+
+    assert.equal(entries.length, 3);
+    const album = entries.find(entry => entry.isAlbum);
+    assert.equal(album.title, 'NeurIPS 2024 Trip');
+    assert.equal(album.items.length, 2);
+    assert.equal(album.dateInfo.day, 10);
+});
+
+test('parseSearchQuery splits phrases, terms and qualifiers', () => {
+    const search = galleryCore.parseSearchQuery('"Hot Pot" lunch year:2025 category:LabLife');
+
+    assert.deepEqual(search.terms, ['hot pot', 'lunch']);
+    assert.deepEqual(search.years, ['2025']);
+    assert.deepEqual(search.categories, ['lablife']);
+});
+
+test('parseSearchQuery searches unknown qualifiers as text', () => {
+    const search = galleryCore.parseSearchQuery('room:"Hall A"');
+
+    assert.deepEqual(search.terms, ['room:hall a']);
+    assert.deepEqual(search.unsupported, ['room:hall a']);
+});
+
+test('parseSearchQuery returns null for an empty query', () => {
+    assert.equal(galleryCore.parseSearchQuery(''), null);
+    assert.equal(galleryCore.parseSearchQuery('   ""  '), null);
+});
+
+test('matchesSearch needs every term and one value of each qualifier', () => {
+    const entry = { text: 'lunch at so hot pot lab life jan 2025', year: '2025', category: 'lablife', anchor: 'lab-life' };
+    const matches = query => galleryCore.matchesSearch(entry, galleryCore.parseSearchQuery(query));
+
+    assert.equal(matches('"hot pot" lunch'), true);
+    assert.equal(matches('hot dinner'), false);
+    assert.equal(matches('year:2024 year:2025'), true);
+    assert.equal(matches('year:2024'), false);
+    assert.equal(matches('category:lab-life'), true);
+    assert.equal(matches('category:conference lunch'), false);
+    assert.equal(galleryCore.matchesSearch(undefined, galleryCore.parseSearchQuery('lunch')), false);
+});
+
+test('justifyRows fills the width with every full row', () => {
+    const ratios = [1.5, 1.5, 0.75, 1.5, 1.5, 1];
+    const rows = galleryCore.justifyRows(ratios, 1000, 250, 10);
+
+    assert.equal(rows.reduce((count, row) => count + row.widths.length, 0), ratios.length);
+    rows.forEach(row => {
+        const used = row.widths.reduce((sum, width) => sum + width, 0) + 10 * (row.widths.length - 1);
+        assert.ok(Math.abs(used - 1000) < 1e-6);
+    });
+    // Each photo keeps its aspect ratio
+    assert.ok(Math.abs(rows[0].widths[2] / rows[0].height - 0.75) < 1e-9);
+});
+
+test('justifyRows keeps a short last row at the target height', () => {
+    assert.deepEqual(galleryCore.justifyRows([1], 1000, 250, 10), [{ height: 250, widths: [250] }]);
+    assert.deepEqual(galleryCore.justifyRows([1, 1, 1, 1], 1000, 250, 0), [{ height: 250, widths: [250, 250, 250, 250] }]);
+    assert.deepEqual(galleryCore.justifyRows([], 1000, 250, 10), []);
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests that the gallery markup escapes captions and filenames: photos whose
+ * names hold quotes, "<", "&", spaces or non-ASCII text must render as text,
+ * and their URLs must be percent-encoded. Run with: node --test
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const markup = require('../js/markup');
+const galleryCore = require('../js/gallery-core');
+
+const PHOTO = 'lablife_01_Jan 2025 - "Hot" <Pot> & Tom\'s Café 東京 #1.jpg';
+const DESCRIPTION = 'Jan 2025 - "Hot" <Pot> & Tom\'s Café 東京 #1';
+const TALK = 'conference_02_Talk "Q&A" <live>.youtube';
+
+const CATEGORIES = galleryCore.parseCategories({
+    lablife: { title: 'Lab <Life> & "Fun"' },
+    conference: { title: 'Conferences' }
+}, false);
+
+const METADATA = {
+    [PHOTO]: {
+        longDescription: '<script>alert("x")</script>',
+        location: 'Café "A" & <B>',
+        credit: 'O\'Brien'
+    }
+};
+
+const ASSETS = {
+    [TALK]: { youtube: 'a"b&c d' }
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Undo the escaping of escapeHTML()
+ * @param {string} text - Escaped text
+ * @returns {string} - Original text
+ */
+function decode(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Attributes of every <name> tag in the markup, decoded. A value that broke
+ * out of its quotes would show up as extra or missing attributes.
+ * @param {string} html - Rendered markup
+ * @param {string} name - Tag name
+ * @returns {Array} - One {attribute: value} object per tag
+ */
+function tags(html, name) {
+    const pattern = new RegExp('<' + name + '\\b([^>]*)>', 'g');
+    return Array.from(html.matchAll(pattern)).map(match => {
+        const attributes = {};
+        for (const attribute of match[1].matchAll(/([\w-]+)(?:="([^"]*)")?/g)) {
+            attributes[attribute[1]] = attribute[2] === undefined ? '' : decode(attribute[2]);
+        }
+        return attributes;
+    });
+}
+
+/**
+ * Render one gallery view of the test photos
+ * @param {Object} [view] - View options for renderGalleryHTML
+ * @param {string} [query] - Search query
+ * @returns {Object} - {items, html}
+ */
+function render(view, query) {
+    const search = query ? galleryCore.parseSearchQuery(query) : null;
+    const rendered = galleryCore.renderGalleryHTML([PHOTO, TALK], METADATA, ASSETS, CATEGORIES, search, view);
+    return { items: rendered.items, html: rendered.nav.toString() + rendered.content.toString() };
+}
+
+test('html`` escapes every interpolated value', () => {
+    assert.equal(markup.html`<p title="${'"\'<&>'}">${'<b>&'}</p>`.toString(),
+        '<p title="&quot;&#39;&lt;&amp;&gt;">&lt;b&gt;&amp;</p>');
+    assert.equal(markup.escapeHTML('Café 東京'), 'Café 東京');
+});
+
+test('html`` inserts nested templates and raw() as-is', () => {
+    const inner = markup.html`<b>${'<i>'}</b>`;
+
+    assert.equal(markup.html`<p>${inner}${markup.raw('<br>')}</p>`.toString(), '<p><b>&lt;i&gt;</b><br></p>');
+    assert.equal(markup.html`${['<a>', markup.raw('<b>')]}`.toString(), '&lt;a&gt;<b>');
+    assert.equal(markup.html`${null}${undefined}${false}${0}`.toString(), '0');
+});
+
+test('highlightMatches escapes the text around and inside the marks', () => {
+    const search = markup.parseSearchQuery('<pot> &', {});
+
+    assert.equal(markup.highlightMatches('"Hot" <Pot> & more', search).toString(),
+        '&quot;Hot&quot; <mark>&lt;Pot&gt;</mark> <mark>&amp;</mark> more');
+});
+
+['category', 'timeline', 'year'].forEach(mode => {
+    test(`the ${mode} view escapes attributes and encodes URLs`, () => {
+        const { html } = render({ mode: mode });
+        const links = tags(html, 'a').filter(link => link['data-filename'] === PHOTO);
+        const images = tags(html, 'img').filter(image => image.alt === DESCRIPTION);
+
+        assert.equal(links.length, 1);
+        assert.equal(links[0].href, 'gallery/' + encodeURIComponent(PHOTO));
+        assert.equal(links[0]['data-caption'], DESCRIPTION);
+        assert.equal(images.length, 1);
+        assert.equal(images[0].src, 'gallery/' + encodeURIComponent(PHOTO));
+        assert.ok(!html.includes('<Pot>'));
+        assert.equal(tags(html, 'script').length, 0);
+    });
+});
+
+test('the grid shows captions, places and credits as text', () => {
+    const { html } = render({ mode: 'category' });
+
+    assert.ok(html.includes('<p class="gallery-caption">' + markup.escapeHTML(DESCRIPTION) + '</p>'));
+    assert.ok(html.includes(markup.escapeHTML('Café "A" & <B>')));
+    assert.ok(html.includes('O&#39;Brien'));
+    assert.ok(html.includes('<h2>Lab &lt;Life&gt; &amp; &quot;Fun&quot;</h2>'));
+});
+
+test('search highlights in captions stay escaped', () => {
+    const { html } = render({ mode: 'category' }, '"tom\'s café" <pot>');
+
+    assert.ok(html.includes('<mark>&lt;Pot&gt;</mark>'));
+    assert.ok(html.includes('<mark>Tom&#39;s Café</mark>'));
+});
+
+test('YouTube thumbnails and links encode the video id', () => {
+    const { html } = render({ mode: 'category' });
+    const link = tags(html, 'a').find(attributes => attributes['data-filename'] === TALK);
+    const poster = tags(html, 'img').find(attributes => attributes.alt === 'Talk "Q&A" <live>');
+
+    assert.equal(link.href, 'https://www.youtube.com/watch?v=' + encodeURIComponent('a"b&c d'));
+    assert.equal(poster.src, 'https://i.ytimg.com/vi/' + encodeURIComponent('a"b&c d') + '/mqdefault.jpg');
+});
+
+test('the lightbox caption escapes every field and encodes the download link', () => {
+    const { items } = render();
+    const html = galleryCore.generateLightboxCaptionHTML(items[PHOTO], {
+        category: CATEGORIES.lablife,
+        people: [{ id: 'ann-lee', name: '<Ann> "Lee"' }]
+    }).toString();
+    const download = tags(html, 'a').find(link => 'download' in link);
+
+    assert.ok(html.includes('<p class="gallery-lightbox-title">' + markup.escapeHTML(DESCRIPTION) + '</p>'));
+    assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+    assert.ok(html.includes('&lt;Ann&gt; &quot;Lee&quot;'));
+    assert.equal(tags(html, 'script').length, 0);
+    assert.equal(download.href, 'gallery/' + encodeURIComponent(PHOTO));
+});